@@ -0,0 +1,157 @@
+// --- COMMAND LINE ---
+// Renders the panel without the server, from the configured providers or a
+// saved hamqsl XML / /solar/json file, and pushes it to the configured targets:
+//
+//   node cli.js render --format png --width 400 --height 300 --input solar.xml --out panel.png
+//   node cli.js push [--input solar.xml]
+//
+// Every render parameter can be given as --name value, --device <id> starts
+// from a device profile. `--out -` writes the image to stdout.
+
+// With the image on stdout the informational logs of loading the config,
+// fonts and history go to stderr. This comes before the requires, the config
+// is loaded (and logged) when it is first required.
+if (process.argv.some((arg, i, args) => arg === '--out=-' || (arg === '--out' && args[i + 1] === '-'))) {
+    console.log = console.error;
+}
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./lib/config');
+const { registerFonts } = require('./lib/draw');
+const { RENDER_PARAMETERS, RenderOptionsError } = require('./lib/options');
+const { IMAGE_FORMATS, resolveRenderOptions, renderPanelImage } = require('./lib/pipeline');
+const { createProviderChain } = require('./lib/providers');
+const { createHistoryStore } = require('./lib/history');
+const { createDeviceRegistry } = require('./lib/devices');
+const { createPushScheduler } = require('./lib/push');
+const { parseQth } = require('./lib/qth');
+
+const USAGE = `Usage:
+  node cli.js render [--format ${Object.keys(IMAGE_FORMATS).join('|')}] [--out file|-] [--input file] [--device id] [--<render parameter> value ...]
+  node cli.js push [--input file]
+
+  --input   hamqsl XML or /solar/json file (or a directory, the newest in it),
+            the configured providers when not given
+  --out     where to write the image, default solar.<ext>, - for stdout
+  --device  start from the render options of a configured device profile
+
+Render parameters: ${Object.keys(RENDER_PARAMETERS).join(', ')}`;
+
+class UsageError extends Error {}
+
+// --name value and --name=value pairs
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(args[i]);
+        if (!match) throw new UsageError(`Unexpected argument '${args[i]}'`);
+        const [, name, inline] = match;
+        if (inline !== undefined) {
+            options[name] = inline;
+        } else if (i + 1 < args.length) {
+            options[name] = args[i + 1];
+            i += 1;
+        } else {
+            throw new UsageError(`Missing value for --${name}`);
+        }
+    }
+    return options;
+}
+
+async function fetchData(input) {
+    const providers = createProviderChain(input ? [{ type: 'file', path: path.resolve(input) }] : config.providers);
+    const { data } = await providers.fetchSolarData();
+    return data;
+}
+
+function setup() {
+    registerFonts(config.fonts);
+    const station = config.qth ? parseQth(config.qth) : null;
+    const devices = createDeviceRegistry({
+        profiles: config.devices,
+        file: path.join(config.dataDir, 'devices.json'),
+        defaults: station ? { timezone: station.timezone } : {},
+    });
+    // Trend widgets draw from the server's history when there is one, the
+    // file stays the server's to write
+    const history = createHistoryStore({
+        file: path.join(config.dataDir, 'history.jsonl'),
+        retentionDays: config.history.retentionDays,
+        maxEntries: config.history.maxEntries,
+        readOnly: true,
+    });
+    history.load();
+    return { station, devices, history };
+}
+
+async function render(args) {
+    const { format = 'png', out, input, device: deviceId, ...query } = parseArgs(args);
+    if (!IMAGE_FORMATS[format]) throw new UsageError(`--format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    const unknown = Object.keys(query).filter((name) => !RENDER_PARAMETERS[name]);
+    if (unknown.length > 0) throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''}: ${unknown.map((name) => `--${name}`).join(', ')}`);
+
+    const { station, devices, history } = setup();
+    const device = deviceId ? devices.get(deviceId) : null;
+    if (deviceId && !device) throw new UsageError(`Unknown device '${deviceId}'`);
+    const options = resolveRenderOptions({ ...(device ? device.render : {}), ...query }, {
+        station,
+        extra: device ? { timezone: device.timezone } : {},
+    });
+
+    const data = await fetchData(input);
+    const image = await renderPanelImage(data, options, format, { history });
+    const file = out || `solar.${IMAGE_FORMATS[format].extension}`;
+    if (file === '-') {
+        process.stdout.write(image.buffer);
+        return;
+    }
+    fs.writeFileSync(file, image.buffer);
+    const details = Object.entries(image.headers).map(([name, value]) => `${name.replace(/^X-Image-/, '').toLowerCase()} ${value}`);
+    console.error(`Wrote ${file} (${image.buffer.length} bytes${details.length > 0 ? `, ${details.join(', ')}` : ''})`);
+}
+
+async function push(args) {
+    const { input, ...rest } = parseArgs(args);
+    if (Object.keys(rest).length > 0) throw new UsageError(`Unknown option: --${Object.keys(rest)[0]}`);
+    if (config.push.targets.length === 0) throw new UsageError('No push targets configured, see push.targets in the config');
+
+    const { station, devices, history } = setup();
+    let failed = 0;
+    const pusher = createPushScheduler({
+        targets: config.push.targets,
+        devices,
+        station,
+        scpRoot: config.push.scpRoot || path.join(config.dataDir, 'scp'),
+        sources: () => ({ history }),
+        onPush: ({ result }) => {
+            if (result === 'failed') failed += 1;
+        },
+    });
+    await pusher.push(await fetchData(input));
+    if (failed > 0) throw new Error(`${failed} of ${pusher.targets.length} push targets failed`);
+}
+
+const COMMANDS = { render, push };
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!COMMANDS[command]) {
+        console.error(USAGE);
+        process.exitCode = command && command !== 'help' ? 2 : 0;
+        return;
+    }
+    try {
+        await COMMANDS[command](args);
+    } catch (error) {
+        if (error instanceof UsageError || error instanceof RenderOptionsError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+        } else {
+            console.error(error.message);
+            process.exitCode = 1;
+        }
+    }
+}
+
+main();
@@ -0,0 +1,191 @@
+// --- ALERTS ---
+// Threshold rules evaluated on every new snapshot. A rule fires when its field
+// crosses the threshold and resolves only once the value is back past the
+// `clear` level (hysteresis), so a value wobbling around the threshold doesn't
+// flap. Firing and resolving are posted to the configured webhooks once each,
+// kept in a feed for /solar/alerts, and persisted so restarts don't re-fire.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { getField } = require('./history');
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'in', 'not-in'];
+const FLARE_CLASSES = { A: 1e-8, B: 1e-7, C: 1e-6, M: 1e-5, X: 1e-4 };
+const WEBHOOK_RETRIES = [2000, 8000]; // Delays before the second and third attempt
+
+// Numbers, numeric strings and X-ray flare classes ("M1.2") as numbers so they
+// can be ordered, any other text lowercased for equality tests
+function comparable(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    const flare = /^([ABCMX])(\d+(?:\.\d+)?)$/i.exec(text);
+    if (flare) return FLARE_CLASSES[flare[1].toUpperCase()] * parseFloat(flare[2]);
+    if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    return text.toLowerCase();
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === 'N/A' || (typeof value === 'number' && Number.isNaN(value));
+}
+
+// true/false, or null when the value can't be compared with the threshold
+function test(op, value, threshold) {
+    if (op === 'in' || op === 'not-in') {
+        const found = [].concat(threshold).map(comparable).includes(comparable(value));
+        return op === 'in' ? found : !found;
+    }
+    const a = comparable(value);
+    const b = comparable(threshold);
+    if (op === '==') return a === b;
+    if (op === '!=') return a !== b;
+    if (typeof a !== 'number' || typeof b !== 'number') return null;
+    if (op === '>') return a > b;
+    if (op === '>=') return a >= b;
+    if (op === '<') return a < b;
+    return a <= b;
+}
+
+function validateRule(rule, i) {
+    const fail = (message) => { throw new Error(`Invalid alert rule ${rule.id || i}: ${message}`); };
+    if (!rule.id) fail('missing id');
+    if (!rule.field) fail('missing field');
+    if (!OPERATORS.includes(rule.op)) fail(`op must be one of: ${OPERATORS.join(', ')}`);
+    if (rule.value === undefined) fail('missing value');
+    return { severity: 'warning', message: `${rule.field} {op} {threshold}: {value}`, ...rule };
+}
+
+// "{value}", "{threshold}", "{field}" and "{op}" filled in from the alert
+function formatMessage(template, values) {
+    return template.replace(/\{(value|threshold|field|op)\}/g, (match, key) => String(values[key]));
+}
+
+function createAlertEngine({ rules = [], webhooks = [], file, maxEvents = 200 }) {
+    const validated = rules.map(validateRule);
+    const ids = new Set();
+    validated.forEach((rule) => {
+        if (ids.has(rule.id)) throw new Error(`Duplicate alert rule id '${rule.id}'`);
+        ids.add(rule.id);
+    });
+
+    let state = { lastUpdated: null, active: {}, events: [] };
+
+    function load() {
+        if (!fs.existsSync(file)) return;
+        try {
+            state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            // Rules removed from the config can't resolve any more
+            Object.keys(state.active).filter((id) => !ids.has(id)).forEach((id) => delete state.active[id]);
+            console.log(`Loaded ${Object.keys(state.active).length} active alerts from ${file}`);
+        } catch (error) {
+            console.warn(`Ignoring unreadable alert state ${file}: ${error.message}`);
+        }
+    }
+
+    // Write + rename so a crash mid-write can't truncate the file
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpFile, file);
+    }
+
+    async function post(webhook, payload, attempt = 0) {
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(webhook.headers || {}) },
+                body: JSON.stringify(payload),
+                timeout: webhook.timeout || 10000,
+            });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        } catch (error) {
+            if (attempt < WEBHOOK_RETRIES.length) {
+                setTimeout(() => post(webhook, payload, attempt + 1), WEBHOOK_RETRIES[attempt]);
+                return;
+            }
+            console.error(`Alert webhook ${webhook.url} failed for ${payload.alert.rule} (${payload.event}):`, error.message);
+        }
+    }
+
+    function notify(event, data) {
+        const payload = { event: event.event, alert: event, updated: data.updated, provider: data.provider || null };
+        webhooks
+            .filter((webhook) => !webhook.events || webhook.events.includes(event.event))
+            .forEach((webhook) => post(webhook, payload));
+    }
+
+    // Evaluate every rule against a snapshot, once per `updated` value.
+    // Returns the firing/resolved events it caused.
+    function evaluate(data, now = new Date()) {
+        if (!data || data.updated === state.lastUpdated) return [];
+        state.lastUpdated = data.updated;
+
+        const events = [];
+        validated.forEach((rule) => {
+            const value = getField(data, rule.field);
+            if (isMissing(value)) return;
+            const active = state.active[rule.id];
+            // While active the rule holds until the value is back past the clear level
+            const threshold = active && rule.clear !== undefined ? rule.clear : rule.value;
+            const matches = test(rule.op, value, threshold);
+            if (matches === null) return;
+
+            if (!active && matches) {
+                const alert = {
+                    rule: rule.id,
+                    severity: rule.severity,
+                    field: rule.field,
+                    value,
+                    threshold: rule.value,
+                    message: formatMessage(rule.message, { value, threshold: rule.value, field: rule.field, op: rule.op }),
+                    since: now.toISOString(),
+                    updated: data.updated,
+                };
+                state.active[rule.id] = alert;
+                events.push({ ...alert, event: 'firing', time: now.toISOString() });
+            } else if (active && !matches) {
+                delete state.active[rule.id];
+                events.push({ ...active, value, updated: data.updated, event: 'resolved', time: now.toISOString() });
+            } else if (active) {
+                active.value = value;
+                active.updated = data.updated;
+            }
+        });
+
+        events.forEach((event) => {
+            console.log(`Alert ${event.rule} ${event.event}: ${event.message}`);
+            notify(event, data);
+        });
+        state.events = [...events].reverse().concat(state.events).slice(0, maxEvents);
+        try {
+            save();
+        } catch (error) {
+            console.error(`Error saving alert state to ${file}:`, error.message);
+        }
+        return events;
+    }
+
+    function active() {
+        return Object.values(state.active);
+    }
+
+    // Newest first
+    function events(limit = maxEvents) {
+        return state.events.slice(0, limit);
+    }
+
+    return {
+        rules: validated,
+        load,
+        evaluate,
+        active,
+        events,
+    };
+}
+
+module.exports = {
+    OPERATORS,
+    comparable,
+    createAlertEngine,
+};
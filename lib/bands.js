@@ -0,0 +1,158 @@
+// --- BAND RECOMMENDATIONS ---
+// Scores every HF band from 0 to 100 and picks the best ones to try right now.
+// The score starts from the `calculatedconditions` of the band's group for the
+// current day/night at the station and is adjusted for the MUF (reported, or
+// foF2 x M(3000)F2), the K index, dayside X-ray absorption and the reported
+// signal noise, which weigh heaviest on the low bands. Each adjustment that
+// applies is listed as a factor with a short reason in the panel's language.
+
+const { CONDITION_LEVELS } = require('./metrics');
+const { comparable } = require('./alerts');
+const { sunPhase } = require('./qth');
+const { getLocale } = require('./i18n');
+
+// Bands in the groups of the hamqsl feed, with the frequency (MHz) used for the MUF
+const BANDS = [
+    { band: '80m', group: '80m-40m', frequency: 3.5 },
+    { band: '40m', group: '80m-40m', frequency: 7.0 },
+    { band: '30m', group: '30m-20m', frequency: 10.1 },
+    { band: '20m', group: '30m-20m', frequency: 14.0 },
+    { band: '17m', group: '17m-15m', frequency: 18.068 },
+    { band: '15m', group: '17m-15m', frequency: 21.0 },
+    { band: '12m', group: '12m-10m', frequency: 24.89 },
+    { band: '10m', group: '12m-10m', frequency: 28.0 },
+];
+
+const LOW_BAND_LIMIT = 10.5; // MHz, 80m to 30m count as low bands
+const BEST_COUNT = 2;
+const RATINGS = [[60, 'good'], [35, 'fair'], [0, 'poor']];
+
+function toNumber(value) {
+    const number = comparable(value === undefined || value === null ? '' : value);
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+// MUF in MHz: the reported value, or estimated from foF2 and the M(3000)F2 factor
+function estimateMuf(data) {
+    const muf = toNumber(data.muf);
+    if (muf !== null && muf > 0) return muf;
+    const fof2 = toNumber(data.fof2);
+    const factor = toNumber(data.muffactor);
+    return fof2 !== null && factor !== null && fof2 > 0 && factor > 0 ? Math.round(fof2 * factor * 10) / 10 : null;
+}
+
+// Highest S unit of the reported noise, e.g. 2 for "S1-S2"
+function noiseLevel(value) {
+    const units = String(value === undefined ? '' : value).match(/\d+/g);
+    return units ? Math.max(...units.map(Number)) : null;
+}
+
+// Score adjustments that apply now, most significant first: { factor, value,
+// text, adjust(band) } with adjust giving the points for one band
+function conditionFactors(data, time, locale) {
+    const low = (band) => band.frequency < LOW_BAND_LIMIT;
+    const factors = [];
+
+    const kindex = toNumber(data.kindex);
+    if (kindex !== null && kindex >= 5) {
+        factors.push({ factor: 'kindex', value: kindex, text: locale.t('best.storm', { k: kindex }), adjust: (band) => (low(band) ? -30 : -15) });
+    } else if (kindex !== null && kindex >= 4) {
+        factors.push({ factor: 'kindex', value: kindex, text: locale.t('best.unsettled', { k: kindex }), adjust: (band) => (low(band) ? -10 : -5) });
+    }
+
+    // Flares only absorb on the sunlit side
+    const xray = toNumber(data.xray);
+    if (xray !== null && xray >= 1e-5 && time !== 'night') {
+        const strong = xray >= 1e-4;
+        factors.push({
+            factor: 'xray',
+            value: String(data.xray).trim(),
+            text: locale.t('best.flare', { xray: String(data.xray).trim() }),
+            adjust: (band) => (low(band) ? -20 : -10) * (strong ? 2 : 1),
+        });
+    }
+
+    const muf = estimateMuf(data);
+    if (muf !== null) {
+        const closed = BANDS.find((band) => band.frequency > muf);
+        factors.push({
+            factor: 'muf',
+            value: muf,
+            text: closed ? locale.t('best.muf', { muf: Math.round(muf), band: closed.band }) : null,
+            // Best just below the MUF, nothing above it
+            adjust: (band) => {
+                if (band.frequency > muf) return -40;
+                return band.frequency >= muf * 0.7 ? 10 : 0;
+            },
+        });
+    }
+
+    const noise = noiseLevel(data.signalnoise);
+    if (noise !== null && noise > 3) {
+        factors.push({
+            factor: 'signalnoise',
+            value: String(data.signalnoise).trim(),
+            text: locale.t('best.noise', { noise: String(data.signalnoise).trim() }),
+            adjust: (band) => -(noise - 3) * (low(band) ? 5 : 2),
+        });
+    }
+    return factors;
+}
+
+// Points for the band group's condition, the mean of day and night when the
+// time of day isn't known (no station location)
+function conditionScore(conditions, time) {
+    const level = (value) => CONDITION_LEVELS[String(value || '').trim().toLowerCase()];
+    const levels = (time ? [conditions[time]] : [conditions.day, conditions.night])
+        .map(level)
+        .filter((value) => value !== undefined);
+    if (levels.length === 0) return null;
+    return 20 + 25 * (levels.reduce((sum, value) => sum + value, 0) / levels.length);
+}
+
+// Band scores and the best bands to try now at `qth` (day/night unknown
+// without one): { time, best, reason, factors, bands }, `reason` being a
+// short explanation for the panel. Bands of a group without a reported
+// condition have a null score and are never recommended.
+function scoreBands(data, { qth = null, now = new Date(), locale = getLocale() } = {}) {
+    const time = qth ? (sunPhase(now, qth).daytime ? 'day' : 'night') : null;
+    const factors = conditionFactors(data, time, locale);
+
+    const bands = BANDS.map((band) => {
+        const conditions = (data.calculatedconditions || {})[band.group] || {};
+        const base = conditionScore(conditions, time);
+        const condition = time ? (conditions[time] || null) : null;
+        if (base === null) return { ...band, condition, score: null, rating: null };
+
+        // Within a group the higher band wins by day, the lower one at night
+        const tilt = time ? Math.round(((band.frequency - 14) / 14) * 4) * (time === 'day' ? 1 : -1) : 0;
+        const adjusted = factors.reduce((score, factor) => score + factor.adjust(band), base + tilt);
+        const score = Math.max(0, Math.min(100, Math.round(adjusted)));
+        return { ...band, condition, score, rating: RATINGS.find(([min]) => score >= min)[1] };
+    });
+
+    const best = bands
+        .filter((band) => band.rating === 'good' || band.rating === 'fair')
+        .sort((a, b) => b.score - a.score)
+        .slice(0, BEST_COUNT)
+        .map((band) => band.band);
+
+    // The most significant factor, all of them are listed in `factors`
+    const significant = factors.find((factor) => factor.text);
+    let reason = significant ? significant.text : locale.t(best.length > 0 ? 'best.quiet' : 'best.allPoor');
+    if (bands.every((band) => band.score === null)) reason = locale.t('best.noData');
+
+    return {
+        time,
+        best,
+        reason,
+        factors: factors.map(({ factor, value, text }) => ({ factor, value, text })),
+        bands,
+    };
+}
+
+module.exports = {
+    BANDS,
+    estimateMuf,
+    scoreBands,
+};
@@ -0,0 +1,152 @@
+// --- CHANGE DETECTION ---
+// Content hashes of the image as sent (the ETag of the image endpoints) and
+// the rectangles that differ between two frames, so battery powered clients
+// can skip refreshes that change nothing and partially refresh the rest.
+// Regions that change on every render (the clock) can be masked out of both.
+
+const crypto = require('crypto');
+
+function inRect(x, y, rect) {
+    return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+}
+
+// Copy of the pixel data (`channels` bytes per pixel) with every masked pixel set to 0
+function applyMask(pixels, width, height, mask, channels = 1) {
+    if (!mask || mask.length === 0) return pixels;
+    const masked = Uint8Array.from(pixels);
+    mask.forEach((rect) => {
+        const x0 = Math.max(0, Math.floor(rect.x));
+        const y0 = Math.max(0, Math.floor(rect.y));
+        const x1 = Math.min(width, Math.ceil(rect.x + rect.width));
+        const y1 = Math.min(height, Math.ceil(rect.y + rect.height));
+        for (let y = y0; y < y1; y++) masked.fill(0, (y * width + x0) * channels, (y * width + Math.max(x0, x1)) * channels);
+    });
+    return masked;
+}
+
+// Hash of the pixels an image is encoded from, `channels` bytes per pixel
+// (panel indices or RGBA), with `key` naming the encoding (format, palette or
+// bit depth) so different images of the same pixels never share a hash
+function frameHash({ pixels, channels = 1, key }, width, height, mask = []) {
+    return crypto.createHash('sha1')
+        .update(`${key}:${width}x${height}:`)
+        .update(applyMask(pixels, width, height, mask, channels))
+        .digest('hex')
+        .slice(0, 20);
+}
+
+// Most recently served frames by hash, so a client can ask what changed since
+// the frame it shows. Each frame remembers when its content was first served.
+function createFrameStore({ maxFrames = 32 } = {}) {
+    const frames = new Map();
+
+    function put(hash, frame, now = new Date()) {
+        const existing = frames.get(hash);
+        frames.delete(hash);
+        const stored = { ...frame, modified: existing ? existing.modified : new Date(Math.floor(now.getTime() / 1000) * 1000) };
+        frames.set(hash, stored);
+        while (frames.size > maxFrames) frames.delete(frames.keys().next().value);
+        return stored;
+    }
+
+    function get(hash) {
+        return frames.get(hash) || null;
+    }
+
+    return {
+        put,
+        get,
+        get size() {
+            return frames.size;
+        },
+    };
+}
+
+function touches(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function union(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y,
+    };
+}
+
+// Join rectangles that overlap or share an edge until none do; more than
+// `maxRegions` left collapse into their bounding box
+function coalesce(rects, maxRegions) {
+    const merged = rects.slice();
+    let joined = true;
+    while (joined) {
+        joined = false;
+        for (let i = 0; i < merged.length && !joined; i++) {
+            const j = merged.findIndex((other, k) => k > i && touches(merged[i], other));
+            if (j >= 0) {
+                merged[i] = union(merged[i], merged[j]);
+                merged.splice(j, 1);
+                joined = true;
+            }
+        }
+    }
+    if (merged.length > maxRegions) return [merged.reduce(union)];
+    return merged;
+}
+
+// Bounding rectangles of the tile x tile cells that differ between two frames of
+// the same size. Dirty cells are joined into horizontal runs per tile row, runs
+// spanning the same columns on consecutive rows into one rectangle, and touching
+// rectangles into one, at most `maxRegions` of them.
+function changedRegions(previous, current, width, height, { tile = 8, mask = [], maxRegions = 8 } = {}) {
+    const columns = Math.ceil(width / tile);
+    const rows = Math.ceil(height / tile);
+    const dirty = new Uint8Array(columns * rows);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (previous[i] !== current[i] && !mask.some((rect) => inRect(x, y, rect))) {
+                dirty[Math.floor(y / tile) * columns + Math.floor(x / tile)] = 1;
+            }
+        }
+    }
+
+    const regions = [];
+    let open = []; // runs of the previous tile row, extended downwards while they repeat
+    for (let row = 0; row < rows; row++) {
+        const runs = [];
+        for (let col = 0; col < columns; col++) {
+            if (!dirty[row * columns + col]) continue;
+            const start = col;
+            while (col + 1 < columns && dirty[row * columns + col + 1]) col++;
+            runs.push({ start, end: col });
+        }
+        const next = runs.map((run) => {
+            const above = open.find((region) => region.start === run.start && region.end === run.end);
+            if (above) {
+                above.rows += 1;
+                return above;
+            }
+            const region = { start: run.start, end: run.end, row, rows: 1 };
+            regions.push(region);
+            return region;
+        });
+        open = next;
+    }
+
+    return coalesce(regions.map(({ start, end, row, rows: count }) => ({
+        x: start * tile,
+        y: row * tile,
+        width: Math.min(width, (end + 1) * tile) - start * tile,
+        height: Math.min(height, (row + count) * tile) - row * tile,
+    })), maxRegions);
+}
+
+module.exports = {
+    frameHash,
+    createFrameStore,
+    changedRegions,
+};
@@ -0,0 +1,230 @@
+// --- TREND CHARTS ---
+// Sparklines, the K index bar chart (3-hour bars colored by storm level) and a
+// line chart for other numeric fields, drawn from history snapshots.
+// Monochrome themes get fill patterns instead of colors so storm levels stay
+// distinguishable on black and white panels.
+
+const { fitFont, drawText } = require('./draw');
+const { fieldLabel } = require('./widgets/fields');
+const { getLocale } = require('./i18n');
+
+const HOUR = 60 * 60 * 1000;
+const KINDEX_BUCKET = 3 * HOUR; // Planetary K is a 3-hourly index
+
+// Numeric points of one field from history rows, oldest first
+function seriesPoints(rows, field) {
+    const toNumber = (raw) => {
+        if (typeof raw === 'number') return raw;
+        return typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN;
+    };
+    return rows
+        .map((row) => ({ time: Date.parse(row.time), value: toNumber(row[field]) }))
+        .filter((point) => Number.isFinite(point.value))
+        .filter((point, i, points) => i === 0 || point.time !== points[i - 1].time);
+}
+
+function queryPoints(history, field, hours, now = Date.now()) {
+    if (!history) return [];
+    const rows = history.query({ from: new Date(now - hours * HOUR), fields: [field] });
+    return seriesPoints(rows, field);
+}
+
+// quiet (K<4), active (K=4), storm (K>=5)
+function kindexLevel(k) {
+    if (k >= 5) return 'storm';
+    if (k >= 4) return 'active';
+    return 'quiet';
+}
+
+function isMonochrome(theme) {
+    return theme.good === theme.fair && theme.fair === theme.poor;
+}
+
+function drawSparkline(ctx, points, box, color, scale = 1) {
+    if (points.length < 2) return false;
+    const values = points.map((point) => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const start = points[0].time;
+    const span = Math.max(1, points[points.length - 1].time - start);
+    const x = (time) => box.x + (time - start) / span * box.width;
+    const y = (value) => max === min ? box.y + box.height / 2 : box.y + box.height - (value - min) / (max - min) * box.height;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, Math.round(1.5 * scale));
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(x(point.time), y(point.value));
+        else ctx.lineTo(x(point.time), y(point.value));
+    });
+    ctx.stroke();
+
+    // Dot on the latest value
+    const last = points[points.length - 1];
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x(last.time), y(last.value), Math.max(1.5, 2 * scale), 0, Math.PI * 2);
+    ctx.fill();
+    return true;
+}
+
+// Highest value per bucket between `from` and `to`, null where nothing was recorded
+function bucketMax(points, from, to, bucketSize) {
+    const count = Math.max(1, Math.ceil((to - from) / bucketSize));
+    const buckets = Array(count).fill(null);
+    points.forEach((point) => {
+        const index = Math.floor((point.time - from) / bucketSize);
+        if (index >= 0 && index < count) {
+            buckets[index] = buckets[index] === null ? point.value : Math.max(buckets[index], point.value);
+        }
+    });
+    return buckets;
+}
+
+function drawHatched(ctx, x, y, width, height, color, spacing) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, width, height);
+    ctx.clip();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let offset = -height; offset < width; offset += spacing) {
+        ctx.moveTo(x + offset, y + height);
+        ctx.lineTo(x + offset + height, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+    ctx.strokeStyle = color;
+    ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+}
+
+function drawKindexBars(ctx, points, box, { from, to, theme, scale, fontSize }) {
+    const buckets = bucketMax(points, from, to, KINDEX_BUCKET);
+    const maxK = 9;
+    const labelWidth = Math.round(fontSize * 1.2);
+    const plot = { x: box.x + labelWidth, y: box.y, width: box.width - labelWidth, height: box.height };
+    const slot = plot.width / buckets.length;
+    const barWidth = Math.max(1, slot * 0.75);
+    const y = (k) => plot.y + plot.height - k / maxK * plot.height;
+    const monochrome = isMonochrome(theme);
+    const levelColor = { quiet: theme.good, active: theme.fair, storm: theme.poor };
+
+    // Storm threshold guide and scale
+    ctx.strokeStyle = theme.separator;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([Math.max(2, 4 * scale), Math.max(2, 4 * scale)]);
+    ctx.beginPath();
+    ctx.moveTo(plot.x, Math.round(y(5)) + 0.5);
+    ctx.lineTo(plot.x + plot.width, Math.round(y(5)) + 0.5);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    drawText(ctx, '5', box.x, y(5), theme.subtitle);
+    drawText(ctx, '9', box.x, y(9) + fontSize / 2, theme.subtitle);
+    drawText(ctx, '0', box.x, y(0) - fontSize / 2, theme.subtitle);
+
+    buckets.forEach((k, i) => {
+        const barX = Math.round(plot.x + i * slot + (slot - barWidth) / 2);
+        if (k === null) {
+            // No data for this period: small tick on the baseline
+            ctx.fillStyle = theme.separator;
+            ctx.fillRect(barX, Math.round(y(0)) - 1, Math.round(barWidth), 1);
+            return;
+        }
+        const top = Math.round(y(Math.max(k, 0.3)));
+        const height = Math.round(y(0)) - top;
+        const level = kindexLevel(k);
+        if (!monochrome) {
+            ctx.fillStyle = levelColor[level];
+            ctx.fillRect(barX, top, Math.round(barWidth), height);
+        } else if (level === 'storm') {
+            ctx.fillStyle = theme.text;
+            ctx.fillRect(barX, top, Math.round(barWidth), height);
+        } else if (level === 'active') {
+            drawHatched(ctx, barX, top, Math.round(barWidth), height, theme.text, Math.max(3, Math.round(4 * scale)));
+        } else {
+            ctx.strokeStyle = theme.text;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(barX + 0.5, top + 0.5, Math.round(barWidth) - 1, height - 1);
+        }
+    });
+
+    ctx.fillStyle = theme.separator;
+    ctx.fillRect(plot.x, Math.round(y(0)), plot.width, Math.max(1, Math.round(scale)));
+}
+
+function drawLine(ctx, points, box, { from, to, theme, scale, fontSize }) {
+    const values = points.map((point) => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const minLabel = String(Math.round(min * 10) / 10);
+    const maxLabel = String(Math.round(max * 10) / 10);
+    const labelWidth = Math.max(ctx.measureText(minLabel).width, ctx.measureText(maxLabel).width) + Math.round(6 * scale);
+    const plot = { x: box.x + labelWidth, y: box.y + fontSize / 2, width: box.width - labelWidth, height: box.height - fontSize };
+
+    drawText(ctx, maxLabel, box.x, plot.y, theme.subtitle);
+    drawText(ctx, minLabel, box.x, plot.y + plot.height, theme.subtitle);
+
+    ctx.fillStyle = theme.separator;
+    ctx.fillRect(plot.x, Math.round(plot.y + plot.height), plot.width, Math.max(1, Math.round(scale)));
+
+    // Plot against the full time window so gaps in the data stay visible
+    const span = Math.max(1, to - from);
+    const x = (time) => plot.x + (time - from) / span * plot.width;
+    const y = (value) => max === min ? plot.y + plot.height / 2 : plot.y + plot.height - (value - min) / (max - min) * plot.height;
+    ctx.strokeStyle = theme.text;
+    ctx.lineWidth = Math.max(1, Math.round(2 * scale));
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(x(point.time), y(point.value));
+        else ctx.lineTo(x(point.time), y(point.value));
+    });
+    ctx.stroke();
+}
+
+// Titled chart of one field over the last `hours`, K index as storm-level bars,
+// anything else as a line. Time labels run along the bottom.
+function drawChart(ctx, { box, history, field = 'kindex', hours = 24, title, theme, locale = getLocale(), fonts, scale, now = Date.now() }) {
+    const from = now - hours * HOUR;
+    const points = queryPoints(history, field, hours, now);
+    const heading = title || locale.t('chart.title', { field: fieldLabel(field, locale).replace(/:$/, ''), hours });
+
+    const rowHeight = Math.min(fonts.normal * 1.6, box.height / 4);
+    fitFont(ctx, Math.min(fonts.title, rowHeight * 0.8), box.width, () => ctx.measureText(heading).width);
+    drawText(ctx, heading, box.x, box.y + rowHeight / 2, theme.title);
+
+    const fontSize = fitFont(ctx, Math.min(fonts.small * 0.8, rowHeight * 0.6), box.width / 3,
+        () => ctx.measureText(`-${hours}h`).width, false);
+    const axisHeight = fontSize * 1.4;
+    const plot = {
+        x: box.x,
+        y: box.y + rowHeight + fontSize / 2,
+        width: box.width,
+        height: box.height - rowHeight - axisHeight - fontSize / 2,
+    };
+
+    drawText(ctx, `-${hours}h`, plot.x, box.y + box.height - axisHeight / 2, theme.subtitle);
+    drawText(ctx, locale.t('chart.now'), plot.x + plot.width, box.y + box.height - axisHeight / 2, theme.subtitle, 'right');
+
+    if (points.length === 0 || plot.height <= 0) {
+        drawText(ctx, locale.t('chart.empty'), plot.x + plot.width / 2, plot.y + plot.height / 2, theme.subtitle, 'center');
+        return;
+    }
+    if (field === 'kindex') {
+        drawKindexBars(ctx, points, plot, { from, to: now, theme, scale, fontSize });
+    } else {
+        drawLine(ctx, points, plot, { from, to: now, theme, scale, fontSize });
+    }
+}
+
+module.exports = {
+    HOUR,
+    seriesPoints,
+    queryPoints,
+    kindexLevel,
+    drawSparkline,
+    bucketMax,
+    drawChart,
+};
@@ -0,0 +1,156 @@
+// --- CONFIGURATION ---
+// Defaults, overridden by an optional JSON config file (CONFIG_FILE, or
+// config.json in the project root) and then by environment variables.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const defaults = {
+    dataDir: path.join(ROOT_DIR, 'data'),
+    // Data sources in fallback order, see lib/providers
+    providers: [
+        { type: 'hamqsl', url: 'https://www.hamqsl.com/solarxml.php', timeout: 10000 },
+        { type: 'noaa', baseUrl: 'https://services.swpc.noaa.gov', timeout: 10000 },
+    ],
+    // Background polling of the providers, all times in milliseconds
+    refresh: {
+        interval: 5 * 60 * 1000, // Time between successful fetches
+        jitter: 0.1, // Random spread of every delay, as a fraction of it
+        retryDelay: 30 * 1000, // First retry after a failure, doubled on each further failure
+        maxBackoff: 60 * 60 * 1000, // Longest wait between retries
+        staleAfter: 30 * 60 * 1000, // Data older than this is reported and drawn as stale
+    },
+    // Threshold rules and webhooks, see lib/alerts
+    alerts: {
+        rules: [
+            { id: 'geomagnetic-storm', field: 'kindex', op: '>=', value: 5, clear: 4, message: 'Geomagnetic storm, K index {value}' },
+            { id: 'xray-flare', field: 'xray', op: '>=', value: 'M1.0', clear: 'C5.0', message: 'X-ray flare {value}' },
+            { id: 'proton-event', field: 'protonflux', op: '>=', value: 10, clear: 5, message: 'Proton event, {value} pfu' },
+            { id: '6m-eskip', field: 'calculatedvhfconditions.E-Skip.europe_6m', op: '!=', value: 'Band Closed', severity: 'info', message: '6m E-skip open in Europe' },
+        ],
+        webhooks: [], // { url, events: ['firing', 'resolved'], headers, timeout }
+        maxEvents: 200, // Length of the /solar/alerts feed
+    },
+    // Station location: { grid } (Maidenhead) or { lat, lon }, plus timezone and
+    // name, see lib/qth. Enables the active day/night column and sun times.
+    qth: null,
+    // Extra font files (TTF/OTF/TTC) for glyphs Ubuntu Mono lacks, e.g. Japanese,
+    // in addition to the files in assets/fonts, see lib/draw
+    fonts: [],
+    // Device profiles by id, see lib/devices
+    devices: {},
+    // Retained topics and Home Assistant discovery on every refresh, see lib/mqtt
+    mqtt: {
+        url: null, // e.g. mqtt://localhost:1883, publishing is off without one
+        username: null,
+        password: null,
+        baseTopic: 'solar',
+        discovery: true,
+        discoveryPrefix: 'homeassistant',
+        nodeId: 'solar_eink', // Home Assistant device id, prefix of every unique_id
+        deviceName: 'Solar Terrestrial Data',
+    },
+    // Images rendered and delivered after every refresh, see lib/push
+    push: {
+        targets: [], // { id, type: 'http' | 'directory' | 'scp', format, device, ...render parameters }
+        scpRoot: null, // Where the scp stand-in writes, scp/ in the data directory when not set
+    },
+    history: {
+        retentionDays: 30, // Snapshots older than this are dropped, 0 keeps everything
+        maxEntries: 20000, // Upper bound on stored snapshots, oldest are dropped first
+    },
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+function readConfigFile() {
+    const file = process.env.CONFIG_FILE || path.join(ROOT_DIR, 'config.json');
+    if (!fs.existsSync(file)) {
+        if (process.env.CONFIG_FILE) console.warn(`Config file ${file} not found, using defaults.`);
+        return {};
+    }
+    const fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`Loaded config from ${file}`);
+    return fileConfig;
+}
+
+function envNumber(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) throw new Error(`${name} must be a number, got '${value}'`);
+    return number;
+}
+
+function envOverrides() {
+    const overrides = { history: {}, refresh: {}, mqtt: {} };
+    if (process.env.DATA_DIR) overrides.dataDir = process.env.DATA_DIR;
+    const retentionDays = envNumber('HISTORY_RETENTION_DAYS');
+    if (retentionDays !== undefined) overrides.history.retentionDays = retentionDays;
+    const maxEntries = envNumber('HISTORY_MAX_ENTRIES');
+    if (maxEntries !== undefined) overrides.history.maxEntries = maxEntries;
+    const refreshInterval = envNumber('REFRESH_INTERVAL');
+    if (refreshInterval !== undefined) overrides.refresh.interval = refreshInterval;
+    if (process.env.ALERT_WEBHOOKS) {
+        overrides.alerts = { webhooks: process.env.ALERT_WEBHOOKS.split(',').map((url) => url.trim()).filter(Boolean).map((url) => ({ url })) };
+    }
+    const staleAfter = envNumber('STALE_AFTER');
+    if (staleAfter !== undefined) overrides.refresh.staleAfter = staleAfter;
+    if (process.env.QTH_GRID) overrides.qth = { grid: process.env.QTH_GRID, lat: null, lon: null };
+    const lat = envNumber('QTH_LAT');
+    const lon = envNumber('QTH_LON');
+    if (lat !== undefined && lon !== undefined) overrides.qth = { grid: null, lat, lon };
+    if (process.env.FONT_FILES) overrides.fonts = process.env.FONT_FILES.split(',').map((file) => file.trim()).filter(Boolean);
+    const mqttEnv = { url: 'MQTT_URL', username: 'MQTT_USERNAME', password: 'MQTT_PASSWORD', baseTopic: 'MQTT_BASE_TOPIC', discoveryPrefix: 'MQTT_DISCOVERY_PREFIX' };
+    Object.entries(mqttEnv).forEach(([key, name]) => {
+        if (process.env[name]) overrides.mqtt[key] = process.env[name];
+    });
+    return overrides;
+}
+
+// PROVIDERS picks and orders provider types (keeping their configured options),
+// HAMQSL_URL, NOAA_BASE_URL and DATA_FILE set the source of each type
+function applyProviderEnv(providers) {
+    let result = providers;
+    if (process.env.PROVIDERS) {
+        result = process.env.PROVIDERS.split(',').map((type) => type.trim()).filter(Boolean)
+            .map((type) => providers.find((provider) => provider.type === type) || { type });
+    }
+    const sources = { hamqsl: ['url', 'HAMQSL_URL'], noaa: ['baseUrl', 'NOAA_BASE_URL'], file: ['path', 'DATA_FILE'] };
+    return result.map((provider) => {
+        const [key, name] = sources[provider.type] || [];
+        return name && process.env[name] ? { ...provider, [key]: process.env[name] } : provider;
+    });
+}
+
+// QTH_TIMEZONE sets the timezone of the location from the file or from
+// QTH_GRID / QTH_LAT and QTH_LON, on its own there is no station to apply it to
+function applyQthTimezone(qth) {
+    const timezone = process.env.QTH_TIMEZONE;
+    if (!timezone) return qth;
+    if (!qth) {
+        console.warn('QTH_TIMEZONE ignored, no station location is configured (qth, QTH_GRID or QTH_LAT/QTH_LON)');
+        return qth;
+    }
+    return { ...qth, timezone };
+}
+
+const config = merge(merge(defaults, readConfigFile()), envOverrides());
+config.qth = applyQthTimezone(config.qth);
+config.dataDir = path.resolve(ROOT_DIR, config.dataDir);
+config.fonts = config.fonts.map((file) => path.resolve(ROOT_DIR, file));
+config.providers = applyProviderEnv(config.providers);
+
+module.exports = config;
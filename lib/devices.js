@@ -0,0 +1,177 @@
+// --- DEVICE PROFILES ---
+// Named panels configured on the server (`devices` in the config file), so a
+// display only needs its id in the URL: /device/:id/png. A profile holds render
+// parameters plus a display name, timezone and what to expect of the device.
+// Every request is recorded as the device's last-seen time together with the
+// battery voltage and RSSI it reports, kept in a JSON file across restarts.
+
+const fs = require('fs');
+const path = require('path');
+const { RENDER_PARAMETERS, parseRenderOptions } = require('./options');
+const { isValidTimezone } = require('./qth');
+
+const DEVICE_ID = /^[A-Za-z0-9_-]+$/;
+
+const PROFILE_DEFAULTS = {
+    timezone: 'UTC',
+    refreshInterval: 900, // Seconds between wake-ups, a device missing 3 of them is offline
+    lowBattery: 3.4, // Volts, a single LiPo cell
+    weakSignal: -80, // dBm
+};
+
+// Validated profile with its render parameters split off into `render`,
+// `defaults` override PROFILE_DEFAULTS (e.g. the station's timezone)
+function parseProfile(id, spec, defaults = {}) {
+    const fail = (message) => { throw new Error(`Invalid device profile '${id}': ${message}`); };
+    if (!DEVICE_ID.test(id)) fail('ids may only contain letters, digits, _ and -');
+
+    const render = {};
+    const profile = { ...PROFILE_DEFAULTS, ...defaults, id, name: id };
+    for (const [key, value] of Object.entries(spec || {})) {
+        if (RENDER_PARAMETERS[key]) render[key] = value;
+        else profile[key] = value;
+    }
+    try {
+        parseRenderOptions(render);
+    } catch (error) {
+        fail(error.message);
+    }
+    if (!isValidTimezone(profile.timezone)) fail(`unknown timezone '${profile.timezone}'`);
+    for (const key of ['refreshInterval', 'lowBattery', 'weakSignal']) {
+        if (typeof profile[key] !== 'number' || Number.isNaN(profile[key])) fail(`${key} must be a number`);
+    }
+    return { ...profile, render };
+}
+
+// battery (volts) and rssi (dBm) reported by the device as query parameters,
+// values that aren't numbers are left out
+function parseTelemetry(query) {
+    const telemetry = {};
+    for (const key of ['battery', 'rssi']) {
+        if (query[key] === undefined || query[key] === '') continue;
+        const value = Number(query[key]);
+        if (Number.isFinite(value)) telemetry[key] = value;
+        else console.warn(`Ignoring invalid ${key} '${query[key]}'`);
+    }
+    return telemetry;
+}
+
+// ok, offline (not seen for 3 refresh intervals), low-battery or weak-signal
+function deviceHealth(profile, state, now) {
+    if (!state || !state.lastSeen) return 'never-seen';
+    if (now - Date.parse(state.lastSeen) > 3 * profile.refreshInterval * 1000) return 'offline';
+    if (state.battery !== undefined && state.battery < profile.lowBattery) return 'low-battery';
+    if (state.rssi !== undefined && state.rssi < profile.weakSignal) return 'weak-signal';
+    return 'ok';
+}
+
+function createDeviceRegistry({ profiles = {}, file, defaults = {}, saveDelay = 5000 }) {
+    const devices = new Map(Object.entries(profiles).map(([id, spec]) => [id, parseProfile(id, spec, defaults)]));
+    let states = {};
+    let saveTimer = null;
+    let saving = Promise.resolve();
+
+    function load() {
+        if (!fs.existsSync(file)) return;
+        try {
+            states = JSON.parse(fs.readFileSync(file, 'utf8'));
+            console.log(`Loaded device states from ${file}`);
+        } catch (error) {
+            console.warn(`Ignoring unreadable device states ${file}: ${error.message}`);
+        }
+    }
+
+    // Write + rename so a crash mid-write can't truncate the file
+    async function save() {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const tmpFile = `${file}.tmp`;
+        await fs.promises.writeFile(tmpFile, JSON.stringify(states, null, 2));
+        await fs.promises.rename(tmpFile, file);
+    }
+
+    // Queue a save after the ones in progress
+    function write() {
+        saving = saving.then(save).catch((error) => {
+            console.error(`Error saving device states to ${file}:`, error.message);
+        });
+        return saving;
+    }
+
+    // Devices poll in bursts, their states are written at most every `saveDelay` ms
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            write();
+        }, saveDelay);
+    }
+
+    // Write pending states now, e.g. before shutting down
+    function flush() {
+        if (!saveTimer) return saving;
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        return write();
+    }
+
+    function get(id) {
+        return devices.get(id) || null;
+    }
+
+    // Record a request of device `id`; telemetry values not reported this time
+    // keep their last known value
+    function report(id, { telemetry = {}, endpoint = null, address = null } = {}, now = new Date()) {
+        const previous = states[id] || { requests: 0 };
+        states[id] = {
+            ...previous,
+            ...telemetry,
+            lastSeen: now.toISOString(),
+            lastEndpoint: endpoint,
+            lastAddress: address,
+            requests: previous.requests + 1,
+        };
+        if (Object.keys(telemetry).length > 0) states[id].telemetryAt = now.toISOString();
+        scheduleSave();
+        return states[id];
+    }
+
+    // Every configured device with its last report and health
+    function list(now = Date.now()) {
+        return [...devices.values()].map((profile) => {
+            const state = states[profile.id] || {};
+            return {
+                id: profile.id,
+                name: profile.name,
+                timezone: profile.timezone,
+                refreshInterval: profile.refreshInterval,
+                render: profile.render,
+                lastSeen: state.lastSeen || null,
+                lastEndpoint: state.lastEndpoint || null,
+                lastAddress: state.lastAddress || null,
+                requests: state.requests || 0,
+                battery: state.battery ?? null,
+                rssi: state.rssi ?? null,
+                telemetryAt: state.telemetryAt || null,
+                health: deviceHealth(profile, state, now),
+            };
+        });
+    }
+
+    return {
+        load,
+        get,
+        report,
+        flush,
+        list,
+        get size() {
+            return devices.size;
+        },
+    };
+}
+
+module.exports = {
+    PROFILE_DEFAULTS,
+    parseTelemetry,
+    deviceHealth,
+    createDeviceRegistry,
+};
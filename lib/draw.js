@@ -0,0 +1,158 @@
+// --- DRAWING HELPERS ---
+// Font handling and small drawing primitives shared by the widgets. Widgets
+// draw with textBaseline = 'middle' so text is centered on a row's midline.
+
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('canvas');
+const { FALLBACK_FONTS } = require('./i18n');
+
+const FONT_FAMILY = 'Ubuntu Mono';
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+const FONT_FILE = /\.(ttf|otf|ttc)$/i;
+const MIN_FONT_SIZE = 8;
+
+// Families of the extra font files, used for glyphs Ubuntu Mono lacks
+const extraFamilies = [];
+const registeredFiles = new Set();
+let ubuntuMonoRegistered = false;
+
+// Registers the bundled Ubuntu Mono, every font file in assets/fonts and the
+// font files in `files` (e.g. from the config). Extra fonts are registered
+// under their file name and only fill in glyphs the fonts before them lack.
+function registerFonts(files = []) {
+    if (!ubuntuMonoRegistered) {
+        ubuntuMonoRegistered = true;
+        try {
+            // Ensure you have an 'assets' folder in your project root with 'UbuntuMono-Bold.ttf'
+            const fontPath = path.join(__dirname, '..', 'assets', 'UbuntuMono-Bold.ttf');
+            registerFont(fontPath, { family: FONT_FAMILY });
+            console.log(`Registered font: ${FONT_FAMILY}`);
+        } catch (error) {
+            // Fallback to a system monospace font if registration fails
+            console.warn("Could not register Ubuntu Mono font. Falling back to monospace.");
+            console.error(error.message);
+        }
+    }
+
+    const bundled = fs.existsSync(FONT_DIR)
+        ? fs.readdirSync(FONT_DIR).filter((file) => FONT_FILE.test(file)).sort().map((file) => path.join(FONT_DIR, file))
+        : [];
+    [...bundled, ...files].map((file) => path.resolve(file)).forEach((file) => {
+        if (registeredFiles.has(file)) return;
+        registeredFiles.add(file);
+        const family = path.basename(file).replace(FONT_FILE, '');
+        try {
+            registerFont(file, { family });
+            extraFamilies.push(family);
+            console.log(`Registered fallback font: ${family}`);
+        } catch (error) {
+            console.warn(`Could not register font ${file}: ${error.message}`);
+        }
+    });
+}
+
+// Ubuntu Mono first, then the extra fonts and the system families the locales
+// ask for (e.g. Noto Sans CJK JP), so scripts Ubuntu Mono lacks still render
+function font(size, bold = true) {
+    const families = [FONT_FAMILY, ...extraFamilies, ...FALLBACK_FONTS].map((family) => `"${family}"`);
+    return `${bold ? 'bold ' : ''}${Math.round(size)}px ${[...families, 'monospace'].join(', ')}`;
+}
+
+// Largest font size not above `size` at which `measure()` (evaluated with the
+// font applied to ctx) stays within `maxWidth`. Leaves the fitted font set on ctx.
+function fitFont(ctx, size, maxWidth, measure, bold = true) {
+    let fitted = Math.max(MIN_FONT_SIZE, Math.floor(size));
+    ctx.font = font(fitted, bold);
+    const width = measure();
+    if (width > maxWidth && width > 0) {
+        fitted = Math.max(MIN_FONT_SIZE, Math.floor(fitted * maxWidth / width));
+        ctx.font = font(fitted, bold);
+        // Glyph metrics don't scale perfectly linearly, step down until it fits
+        while (fitted > MIN_FONT_SIZE && measure() > maxWidth) {
+            fitted -= 1;
+            ctx.font = font(fitted, bold);
+        }
+    }
+    return fitted;
+}
+
+// Largest font size not above `size` at which every text fits in `maxWidth`
+function fitFontSize(ctx, texts, maxWidth, size, bold = true) {
+    return fitFont(ctx, size, maxWidth, () => Math.max(0, ...texts.map((text) => ctx.measureText(String(text)).width)), bold);
+}
+
+// Text on a filled box, padded proportionally to the font size
+function drawHighlightedText(ctx, text, x, y, size, background, color, align = 'left') {
+    const value = String(text);
+    const textWidth = ctx.measureText(value).width;
+    const paddingX = Math.max(2, Math.round(size * 0.18));
+    const boxHeight = Math.round(size * 1.2);
+    const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+
+    ctx.fillStyle = background;
+    ctx.fillRect(Math.round(left - paddingX), Math.round(y - boxHeight / 2), Math.round(textWidth + 2 * paddingX), boxHeight);
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.fillText(value, Math.round(left), Math.round(y));
+}
+
+function drawText(ctx, text, x, y, color, align = 'left') {
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(String(text), Math.round(x), Math.round(y));
+    ctx.textAlign = 'left';
+}
+
+function drawSeparator(ctx, x1, x2, y, color, scale) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Math.max(1, Math.round(2 * scale));
+    ctx.beginPath();
+    ctx.moveTo(Math.round(x1), Math.round(y));
+    ctx.lineTo(Math.round(x2), Math.round(y));
+    ctx.stroke();
+}
+
+// Split `text` into lines no wider than `maxWidth` at the current ctx font,
+// breaking words that don't fit on a line of their own
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        if (line) lines.push(line);
+        line = word;
+        while (line.length > 1 && ctx.measureText(line).width > maxWidth) {
+            let cut = line.length - 1;
+            while (cut > 1 && ctx.measureText(line.slice(0, cut)).width > maxWidth) cut -= 1;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+// Vertical midlines of `count` equal rows inside a box
+function rowCenters(top, height, count) {
+    const rowHeight = height / Math.max(1, count);
+    return Array.from({ length: count }, (_, i) => top + rowHeight * (i + 0.5));
+}
+
+module.exports = {
+    FONT_FAMILY,
+    MIN_FONT_SIZE,
+    registerFonts,
+    font,
+    fitFont,
+    fitFontSize,
+    drawHighlightedText,
+    drawText,
+    drawSeparator,
+    wrapText,
+    rowCenters,
+};
@@ -0,0 +1,200 @@
+// --- E-PAPER FRAMEBUFFER ENCODING ---
+// Converts a rendered canvas into the grey levels an e-paper panel can show
+// (optionally dithered) and encodes them as BMP or as raw packed framebuffers.
+//
+// Level convention used throughout: 0 = black, (levels - 1) = white.
+
+const DITHER_METHODS = ['threshold', 'floyd-steinberg', 'ordered'];
+
+const DITHER_ALIASES = {
+    none: 'threshold',
+    floyd: 'floyd-steinberg',
+    fs: 'floyd-steinberg',
+    bayer: 'ordered',
+};
+
+// 4x4 Bayer matrix, values 0..15
+const BAYER_4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+];
+
+function normalizeDitherMethod(method) {
+    if (!method) return null;
+    const name = String(method).toLowerCase();
+    const resolved = DITHER_ALIASES[name] || name;
+    return DITHER_METHODS.includes(resolved) ? resolved : null;
+}
+
+// RGBA pixel data -> 8-bit luminance (ITU-R BT.601), alpha composited on white
+function toGrayscale(rgba, width, height) {
+    const gray = new Uint8ClampedArray(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        const a = rgba[p + 3] / 255;
+        const lum = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+        gray[i] = Math.round(lum * a + 255 * (1 - a));
+    }
+    return gray;
+}
+
+// 8-bit luminance -> level indices (0..levels-1)
+function quantizeGray(gray, width, height, { method = 'threshold', levels = 2, threshold = 128 } = {}) {
+    const out = new Uint8Array(width * height);
+    const maxLevel = levels - 1;
+    const step = 255 / maxLevel;
+
+    // For two levels the threshold is user-selectable, otherwise round to nearest level
+    const nearest = (v) => {
+        if (levels === 2) return v >= threshold ? 1 : 0;
+        return Math.max(0, Math.min(maxLevel, Math.round(v / step)));
+    };
+
+    if (method === 'floyd-steinberg') {
+        const err = new Float32Array(gray);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const old = err[i];
+                const level = nearest(old);
+                out[i] = level;
+                const e = old - level * step;
+                if (x + 1 < width) err[i + 1] += e * 7 / 16;
+                if (y + 1 < height) {
+                    if (x > 0) err[i + width - 1] += e * 3 / 16;
+                    err[i + width] += e * 5 / 16;
+                    if (x + 1 < width) err[i + width + 1] += e * 1 / 16;
+                }
+            }
+        }
+        return out;
+    }
+
+    if (method === 'ordered') {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                // Bias in the range (-step/2, step/2) so a flat level stays flat
+                const bias = ((BAYER_4[y & 3][x & 3] + 0.5) / 16 - 0.5) * step;
+                out[i] = levels === 2
+                    ? (gray[i] + bias >= threshold ? 1 : 0)
+                    : Math.max(0, Math.min(maxLevel, Math.round((gray[i] + bias) / step)));
+            }
+        }
+        return out;
+    }
+
+    for (let i = 0; i < out.length; i++) out[i] = nearest(gray[i]);
+    return out;
+}
+
+// Reduce a canvas to level indices, using the canvas' own pixel data
+function canvasToLevels(canvas, options = {}) {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    return quantizeGray(toGrayscale(data, width, height), width, height, options);
+}
+
+// Write level indices back onto the canvas so PNG output shows the panel's view
+function applyLevelsToCanvas(canvas, levelData, levels) {
+    const { width, height } = canvas;
+    const context = canvas.getContext('2d');
+    const image = context.getImageData(0, 0, width, height);
+    const step = 255 / (levels - 1);
+    for (let i = 0, p = 0; i < levelData.length; i++, p += 4) {
+        const v = Math.round(levelData[i] * step);
+        image.data[p] = v;
+        image.data[p + 1] = v;
+        image.data[p + 2] = v;
+        image.data[p + 3] = 255;
+    }
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// Raw framebuffer as used by Waveshare / GoodDisplay drivers: rows top to
+// bottom, MSB = leftmost pixel, each row padded to a whole byte.
+// 1bpp: bit set = white. 2bpp: 0b00 = black .. 0b11 = white.
+function packFramebuffer(levelData, width, height, bpp = 1) {
+    const pixelsPerByte = 8 / bpp;
+    const rowBytes = Math.ceil(width / pixelsPerByte);
+    const buffer = Buffer.alloc(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = levelData[y * width + x];
+            const byteIndex = y * rowBytes + Math.floor(x / pixelsPerByte);
+            const shift = 8 - bpp * ((x % pixelsPerByte) + 1);
+            buffer[byteIndex] |= value << shift;
+        }
+    }
+    return buffer;
+}
+
+// Grey ramp used as the color table for grey-level BMPs
+function grayPalette(levels) {
+    const step = 255 / (levels - 1);
+    return Array.from({ length: levels }, (_, i) => {
+        const v = Math.round(i * step);
+        return [v, v, v];
+    });
+}
+
+// Indexed Windows BMP (BITMAPINFOHEADER) for up to 16 colors.
+// Two colors give a 1-bit BMP; more use a 4-bit BMP since 2-bit BMPs are not
+// widely supported by decoders.
+function encodeBmp(indexData, width, height, colors) {
+    const bitsPerPixel = colors.length <= 2 ? 1 : 4;
+    const paletteSize = 1 << bitsPerPixel;
+    const rowBytes = Math.ceil((width * bitsPerPixel) / 32) * 4;
+    const headerSize = 14 + 40 + paletteSize * 4;
+    const imageSize = rowBytes * height;
+    const buffer = Buffer.alloc(headerSize + imageSize);
+
+    // BITMAPFILEHEADER
+    buffer.write('BM', 0, 'ascii');
+    buffer.writeUInt32LE(headerSize + imageSize, 2);
+    buffer.writeUInt32LE(headerSize, 10);
+
+    // BITMAPINFOHEADER
+    buffer.writeUInt32LE(40, 14);
+    buffer.writeInt32LE(width, 18);
+    buffer.writeInt32LE(height, 22); // positive height = bottom-up rows
+    buffer.writeUInt16LE(1, 26);
+    buffer.writeUInt16LE(bitsPerPixel, 28);
+    buffer.writeUInt32LE(0, 30); // BI_RGB
+    buffer.writeUInt32LE(imageSize, 34);
+    buffer.writeInt32LE(2835, 38); // 72 DPI
+    buffer.writeInt32LE(2835, 42);
+    buffer.writeUInt32LE(colors.length, 46);
+    buffer.writeUInt32LE(colors.length, 50);
+
+    // Color table (BGRA), unused entries stay black
+    colors.forEach(([r, g, b], i) => {
+        buffer.writeUInt32LE((r << 16) | (g << 8) | b, 54 + i * 4);
+    });
+
+    const pixelsPerByte = 8 / bitsPerPixel;
+    for (let y = 0; y < height; y++) {
+        const rowStart = headerSize + (height - 1 - y) * rowBytes;
+        for (let x = 0; x < width; x++) {
+            const value = indexData[y * width + x];
+            const shift = 8 - bitsPerPixel * ((x % pixelsPerByte) + 1);
+            buffer[rowStart + Math.floor(x / pixelsPerByte)] |= value << shift;
+        }
+    }
+    return buffer;
+}
+
+module.exports = {
+    BAYER_4,
+    DITHER_METHODS,
+    normalizeDitherMethod,
+    toGrayscale,
+    quantizeGray,
+    canvasToLevels,
+    applyLevelsToCanvas,
+    packFramebuffer,
+    grayPalette,
+    encodeBmp,
+};
@@ -0,0 +1,162 @@
+// --- HISTORY STORE ---
+// Append-only JSON lines file of parsed snapshots, one line per upstream update
+// (deduplicated on the `updated` field), kept in memory for queries and pruned
+// to the configured retention.
+
+const fs = require('fs');
+const path = require('path');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// hamqsl `updated` looks like " 19 Oct 2026 1530 GMT"
+function parseUpdated(updated) {
+    const match = /(\d{1,2})\s+([A-Za-z]{3})\s+(\d{4})\s+(\d{2}):?(\d{2})/.exec(String(updated));
+    if (!match) return null;
+    const month = MONTHS.indexOf(match[2].toLowerCase());
+    if (month < 0) return null;
+    return new Date(Date.UTC(+match[3], month, +match[1], +match[4], +match[5]));
+}
+
+// Value at a dotted path, e.g. "calculatedconditions.80m-40m.day"
+function getField(data, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function isScalar(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// With `readOnly` (another process owns the file, e.g. the CLI reading the
+// server's history) nothing is created or written, pruning only applies in memory
+function createHistoryStore({ file, retentionDays = 30, maxEntries = 20000, readOnly = false }) {
+    let entries = [];
+    const seen = new Set();
+
+    // Whether a snapshot taken at `time` (ms) is past the retention
+    function expired(time, now = Date.now()) {
+        return retentionDays > 0 && time < now - retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    function prune(now = Date.now()) {
+        const before = entries.length;
+        entries = entries.filter((entry) => !expired(Date.parse(entry.time), now));
+        if (maxEntries > 0 && entries.length > maxEntries) {
+            entries = entries.slice(entries.length - maxEntries);
+        }
+        if (entries.length !== before) {
+            seen.clear();
+            entries.forEach((entry) => seen.add(entry.data.updated));
+            if (!readOnly) rewrite();
+        }
+    }
+
+    // Replace the file with the current entries (write + rename so a crash can't truncate it)
+    function rewrite() {
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, entries.map((entry) => JSON.stringify(entry) + '\n').join(''));
+        fs.renameSync(tmpFile, file);
+    }
+
+    function load() {
+        if (!readOnly) fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (!fs.existsSync(file)) return;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter((line) => line.trim() !== '');
+        lines.forEach((line, i) => {
+            try {
+                const entry = JSON.parse(line);
+                if (!seen.has(entry.data.updated)) {
+                    seen.add(entry.data.updated);
+                    entries.push(entry);
+                }
+            } catch (error) {
+                console.warn(`Skipping malformed history line ${i + 1} in ${file}: ${error.message}`);
+            }
+        });
+        entries.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+        console.log(`Loaded ${entries.length} history snapshots from ${file}`);
+        prune();
+    }
+
+    // Store a snapshot unless one with the same `updated` value is already stored.
+    // Returns the new entry, or null for duplicates and snapshots already past
+    // the retention (a stale feed would otherwise be appended and pruned again
+    // on every refresh).
+    function record(data, now = new Date()) {
+        if (readOnly) throw new Error(`History ${file} is open read-only`);
+        if (!data || data.updated === undefined || seen.has(data.updated)) return null;
+
+        const updatedAt = parseUpdated(data.updated);
+        if (updatedAt && expired(updatedAt.getTime(), now.getTime())) return null;
+        const entry = {
+            time: (updatedAt || now).toISOString(),
+            recordedAt: now.toISOString(),
+            data,
+        };
+        seen.add(data.updated);
+        entries.push(entry);
+        if (entries.length > 1 && Date.parse(entries[entries.length - 2].time) > Date.parse(entry.time)) {
+            entries.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+        }
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+        prune(now.getTime());
+        return entry;
+    }
+
+    // Snapshots between `from` and `to` (Date or null), flattened to `time` plus
+    // the requested fields (dotted paths allowed), all fields by default
+    function query({ from = null, to = null, fields = null, scalarOnly = false } = {}) {
+        return entries
+            .filter((entry) => {
+                const time = Date.parse(entry.time);
+                return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+            })
+            .map((entry) => {
+                const row = { time: entry.time };
+                const keys = fields || Object.keys(entry.data);
+                keys.forEach((key) => {
+                    const value = getField(entry.data, key);
+                    if (!scalarOnly || isScalar(value) || value === undefined) row[key] = value;
+                });
+                return row;
+            });
+    }
+
+    function latest() {
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    return {
+        load,
+        record,
+        query,
+        latest,
+        get size() {
+            return entries.length;
+        },
+    };
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows from query() as CSV, columns in first-seen order
+function toCsv(rows) {
+    const columns = [];
+    rows.forEach((row) => Object.keys(row).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+    const lines = [columns.map(csvCell).join(',')];
+    rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseUpdated,
+    getField,
+    createHistoryStore,
+    toCsv,
+};
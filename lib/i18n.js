@@ -0,0 +1,63 @@
+// --- LOCALES ---
+// Translated panel labels, condition words and date formats. Bundles are JSON
+// files in /locales named by language code: `locale` is the BCP 47 tag used for
+// dates, `labels` the panel's texts by key, `fields` the labels of data fields,
+// `conditions` translations of the upstream values (keyed lowercase) and
+// `fonts` system font families with the bundle's glyphs. English is the
+// reference, labels missing from another bundle fall back to it.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALE_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+const bundles = Object.fromEntries(fs.readdirSync(LOCALE_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, file), 'utf8'))]));
+
+if (!bundles[DEFAULT_LANGUAGE]) throw new Error(`Missing locale bundle ${DEFAULT_LANGUAGE}.json in ${LOCALE_DIR}`);
+
+// Font families needed by any bundle, tried after the bundled fonts
+const FALLBACK_FONTS = [...new Set(Object.values(bundles).flatMap((bundle) => bundle.fonts || []))];
+
+function listLanguages() {
+    return Object.entries(bundles).map(([lang, bundle]) => ({ lang, name: bundle.name, locale: bundle.locale }));
+}
+
+// Replace {name} placeholders with `vars`
+function interpolate(text, vars) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+}
+
+// Translator for `lang` (English when unknown): t(key, vars) for panel labels,
+// field(key) for data field labels (null when the bundle has none),
+// condition(value) for upstream values, and the BCP 47 tag for dates
+function getLocale(lang = DEFAULT_LANGUAGE) {
+    const bundle = bundles[lang] || bundles[DEFAULT_LANGUAGE];
+    const reference = bundles[DEFAULT_LANGUAGE];
+    const conditions = bundle.conditions || {};
+    return {
+        lang: bundles[lang] ? lang : DEFAULT_LANGUAGE,
+        tag: bundle.locale,
+        t(key, vars = {}) {
+            const text = bundle.labels[key] !== undefined ? bundle.labels[key] : reference.labels[key];
+            return interpolate(text === undefined ? key : text, vars);
+        },
+        field(key) {
+            return (bundle.fields && bundle.fields[key]) || null;
+        },
+        condition(value) {
+            const text = String(value).trim();
+            return conditions[text.toLowerCase()] || text;
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    FALLBACK_FONTS,
+    listLanguages,
+    getLocale,
+};
@@ -0,0 +1,148 @@
+// --- LAYOUT ENGINE ---
+// Layouts are JSON files describing a grid (column and row weights, padding,
+// gaps and base font sizes at a design size) and the widgets placed on it.
+// Built-in layouts live in /layouts, more can be added with LAYOUT_DIR.
+
+const fs = require('fs');
+const path = require('path');
+const widgets = require('./widgets');
+
+const BUILTIN_LAYOUT_DIR = path.join(__dirname, '..', 'layouts');
+
+const LAYOUT_DEFAULTS = {
+    padding: 20,
+    columnGap: 0,
+    rowGap: 10,
+    fontSize: 22,
+    titleFontSize: 22,
+    smallFontSize: 20,
+};
+
+function validateLayout(layout, file) {
+    const fail = (message) => { throw new Error(`Invalid layout ${file}: ${message}`); };
+    if (!layout.name) fail('missing name');
+    if (!(layout.width > 0 && layout.height > 0)) fail('width and height must be positive');
+    for (const track of ['columns', 'rows']) {
+        if (!Array.isArray(layout[track]) || layout[track].length === 0 || layout[track].some((w) => !(w > 0))) {
+            fail(`${track} must be a non-empty list of positive weights`);
+        }
+    }
+    if (!Array.isArray(layout.widgets)) fail('widgets must be a list');
+    layout.widgets.forEach((widget, i) => {
+        if (!widgets[widget.type]) fail(`widget ${i} has unknown type '${widget.type}'`);
+        const col = widget.col || 0, row = widget.row || 0;
+        if (col + (widget.colSpan || 1) > layout.columns.length || row + (widget.rowSpan || 1) > layout.rows.length) {
+            fail(`widget ${i} (${widget.type}) is placed outside the grid`);
+        }
+    });
+}
+
+function readLayoutDir(dir) {
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => {
+            const fullPath = path.join(dir, file);
+            const layout = { ...LAYOUT_DEFAULTS, ...JSON.parse(fs.readFileSync(fullPath, 'utf8')) };
+            validateLayout(layout, fullPath);
+            return layout;
+        });
+}
+
+function loadLayouts() {
+    const layouts = new Map();
+    readLayoutDir(BUILTIN_LAYOUT_DIR).forEach((layout) => layouts.set(layout.name, layout));
+
+    // Custom layouts override built-ins of the same name
+    if (process.env.LAYOUT_DIR) {
+        try {
+            readLayoutDir(process.env.LAYOUT_DIR).forEach((layout) => layouts.set(layout.name, layout));
+        } catch (error) {
+            console.error(`Could not load layouts from ${process.env.LAYOUT_DIR}:`, error.message);
+        }
+    }
+    return layouts;
+}
+
+const layouts = loadLayouts();
+
+function listLayouts() {
+    return [...layouts.values()].map(({ name, description, width, height }) => ({ name, description, width, height }));
+}
+
+// Named layout, or for 'auto' the one whose design size is closest to the
+// canvas: aspect ratio first, then area
+function selectLayout(name, width, height) {
+    if (name && name !== 'auto') {
+        return layouts.get(name);
+    }
+    let best = null;
+    let bestScore = Infinity;
+    for (const layout of layouts.values()) {
+        const aspect = Math.abs(Math.log((width / height) / (layout.width / layout.height)));
+        const area = Math.abs(Math.log((width * height) / (layout.width * layout.height)));
+        const score = aspect + area * 0.25;
+        if (score < bestScore) {
+            bestScore = score;
+            best = layout;
+        }
+    }
+    return best;
+}
+
+// Split `size` between weighted tracks separated by `gap`, returning offsets
+function resolveTracks(weights, start, size, gap) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const available = size - gap * (weights.length - 1);
+    const tracks = [];
+    let offset = start;
+    weights.forEach((weight) => {
+        const length = available * weight / total;
+        tracks.push({ start: offset, length });
+        offset += length + gap;
+    });
+    return tracks;
+}
+
+// Boxes for every widget of a layout drawn at width x height
+function placeWidgets(layout, width, height) {
+    const scale = Math.min(width / layout.width, height / layout.height);
+    const padding = Math.round(layout.padding * scale);
+    const columnGap = Math.round(layout.columnGap * scale);
+    const rowGap = Math.round(layout.rowGap * scale);
+
+    const columns = resolveTracks(layout.columns, padding, width - 2 * padding, columnGap);
+    const rows = resolveTracks(layout.rows, padding, height - 2 * padding, rowGap);
+
+    const fonts = {
+        normal: layout.fontSize * scale,
+        title: layout.titleFontSize * scale,
+        small: layout.smallFontSize * scale,
+    };
+
+    return layout.widgets.map((widget) => {
+        const first = { col: columns[widget.col || 0], row: rows[widget.row || 0] };
+        const last = {
+            col: columns[(widget.col || 0) + (widget.colSpan || 1) - 1],
+            row: rows[(widget.row || 0) + (widget.rowSpan || 1) - 1],
+        };
+        return {
+            type: widget.type,
+            config: widget.config || {},
+            scale,
+            fonts,
+            box: {
+                x: Math.round(first.col.start),
+                y: Math.round(first.row.start),
+                width: Math.round(last.col.start + last.col.length - first.col.start),
+                height: Math.round(last.row.start + last.row.length - first.row.start),
+            },
+        };
+    });
+}
+
+module.exports = {
+    listLayouts,
+    selectLayout,
+    placeWidgets,
+};
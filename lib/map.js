@@ -0,0 +1,181 @@
+// --- GREYLINE MAP ---
+// Equirectangular world map from the bundled low resolution coastline with the
+// night side and the greyline band (the sun within 6° of the horizon) shaded,
+// the subsolar point, the station's QTH and a hint of the auroral ovals.
+// Shading uses dot patterns in the theme's inks instead of grey tones, so it
+// survives 1-bit thresholds and the palettes of color panels unchanged.
+
+const fs = require('fs');
+const path = require('path');
+const { fitFont, drawText } = require('./draw');
+const { subsolarPoint, elevationFrom, SUNRISE_ELEVATION, GREYLINE_ELEVATION } = require('./qth');
+const { getLocale } = require('./i18n');
+
+const COASTLINE_FILE = path.join(__dirname, '..', 'assets', 'coastline.json');
+const DEFAULT_LATITUDES = [-60, 80]; // Antarctica and the high Arctic cost space and show nothing
+const TIME_STEP = 5 * 60 * 1000; // The terminator is drawn for the time rounded down to this
+const GEOMAGNETIC_POLE = { lat: 80.7, lon: -72.7 }; // North; the south pole is its antipode
+
+let coastline = null;
+
+function loadCoastline() {
+    if (!coastline) coastline = JSON.parse(fs.readFileSync(COASTLINE_FILE, 'utf8')).polygons;
+    return coastline;
+}
+
+// Equatorward edge of the auroral oval in geomagnetic latitude: the reported
+// `latdegree`, otherwise estimated from the K index (about 2° further south per K)
+function auroraBoundary(data) {
+    const reported = Number(data && data.latdegree);
+    if (Number.isFinite(reported) && reported > 30 && reported < 90) return reported;
+    const k = Number(data && data.kindex);
+    if (Number.isFinite(k)) return 66 - 2 * Math.min(9, Math.max(0, k));
+    return null;
+}
+
+// Point `distance` degrees from lat/lon along `bearing` on a great circle
+function destination(from, distance, bearing) {
+    const rad = Math.PI / 180;
+    const lat1 = from.lat * rad;
+    const d = distance * rad;
+    const b = bearing * rad;
+    const lat = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(b));
+    const lon = from.lon * rad + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat));
+    return { lat: lat / rad, lon: ((lon / rad) % 360 + 540) % 360 - 180 };
+}
+
+// Largest 360:latitude-span rectangle centered in `box`
+function mapRect(box, latitudes) {
+    const aspect = 360 / (latitudes[1] - latitudes[0]);
+    const width = Math.min(box.width, box.height * aspect);
+    const height = width / aspect;
+    return { x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height };
+}
+
+// Polyline through lon/lat points, broken where it wraps around the date line
+function tracePath(ctx, points, project) {
+    points.forEach(([lon, lat], i) => {
+        const [x, y] = project(lon, lat);
+        if (i === 0 || Math.abs(lon - points[i - 1][0]) > 180) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+}
+
+// Draws the map into `box`. `now` is rounded down to 5 minutes so the image only
+// changes every few minutes; `data` (optional) provides the aurora hint.
+function drawMap(ctx, { box, data, qth, theme, locale = getLocale(), fonts, scale, now = new Date(), latitudes = DEFAULT_LATITUDES, caption = true }) {
+    const time = new Date(Math.floor(now.getTime() / TIME_STEP) * TIME_STEP);
+    const captionHeight = caption ? Math.max(10, fonts.small * 1.3) : 0;
+    const map = mapRect({ ...box, height: box.height - captionHeight }, latitudes);
+    const [south, north] = latitudes;
+    const project = (lon, lat) => [map.x + (lon + 180) / 360 * map.width, map.y + (north - lat) / (north - south) * map.height];
+    const sun = subsolarPoint(time);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(map.x, map.y, map.width, map.height);
+    ctx.clip();
+
+    // Night and greyline as dots: sparse on the night side, dense along the greyline
+    const step = Math.max(2, Math.round(2 * scale));
+    const dot = Math.max(1, Math.round(scale));
+    for (let y = map.y; y < map.y + map.height; y += step) {
+        const lat = north - (y - map.y + step / 2) / map.height * (north - south);
+        for (let x = map.x; x < map.x + map.width; x += step) {
+            const lon = (x - map.x + step / 2) / map.width * 360 - 180;
+            const elevation = elevationFrom(sun, lat, lon);
+            const column = Math.round((x - map.x) / step);
+            const row = Math.round((y - map.y) / step);
+            if (Math.abs(elevation) < GREYLINE_ELEVATION) {
+                if ((column + row) % 2 === 0) {
+                    ctx.fillStyle = theme.highlight;
+                    ctx.fillRect(x, y, dot, dot);
+                }
+            } else if (elevation < SUNRISE_ELEVATION && column % 2 === 0 && row % 2 === 0) {
+                ctx.fillStyle = theme.subtitle;
+                ctx.fillRect(x, y, dot, dot);
+            }
+        }
+    }
+
+    // Coastlines as outlines, inland seas are rings of their own
+    ctx.beginPath();
+    loadCoastline().forEach((polygon) => tracePath(ctx, polygon.points, project));
+    ctx.strokeStyle = theme.text;
+    ctx.lineWidth = Math.max(1, Math.round(scale));
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    // Auroral ovals as dashed rings around both geomagnetic poles, heavier with more activity
+    const boundary = auroraBoundary(data);
+    if (boundary !== null) {
+        const activity = Number(data.aurora);
+        const weight = Number.isFinite(activity) ? 1 + Math.min(10, Math.max(0, activity)) / 4 : 1;
+        const antipode = { lat: -GEOMAGNETIC_POLE.lat, lon: GEOMAGNETIC_POLE.lon + 180 };
+        ctx.beginPath();
+        [GEOMAGNETIC_POLE, antipode].forEach((pole) => {
+            const ring = [];
+            for (let bearing = 0; bearing <= 360; bearing += 5) {
+                const point = destination(pole, 90 - boundary, bearing);
+                ring.push([point.lon, point.lat]);
+            }
+            tracePath(ctx, ring, project);
+        });
+        ctx.strokeStyle = theme.poor;
+        ctx.lineWidth = Math.max(1, Math.round(weight * scale));
+        ctx.setLineDash([4 * scale, 3 * scale]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Subsolar point
+    const [sunX, sunY] = project(sun.lon, sun.lat);
+    const sunRadius = Math.max(3, 5 * scale);
+    ctx.fillStyle = theme.fair;
+    ctx.strokeStyle = theme.background;
+    ctx.lineWidth = Math.max(1, Math.round(scale));
+    ctx.beginPath();
+    ctx.arc(sunX, sunY, sunRadius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // QTH as a ringed dot
+    if (qth) {
+        const [x, y] = project(qth.lon, qth.lat);
+        const radius = Math.max(3, 4 * scale);
+        ctx.fillStyle = theme.background;
+        ctx.beginPath();
+        ctx.arc(x, y, radius + ctx.lineWidth, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = theme.text;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = theme.text;
+        ctx.beginPath();
+        ctx.arc(x, y, radius / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+
+    // Frame and caption
+    ctx.strokeStyle = theme.separator;
+    ctx.lineWidth = Math.max(1, Math.round(scale));
+    ctx.strokeRect(map.x, map.y, map.width, map.height);
+
+    if (caption) {
+        const clock = time.toISOString().slice(11, 16);
+        const parts = [locale.t('map.greyline', { time: clock })];
+        if (qth) parts.push(locale.t('map.qth', { grid: qth.grid }));
+        if (boundary !== null) parts.push(locale.t('map.aurora', { latitude: Math.round(boundary) }));
+        const text = parts.join('  ');
+        const y = map.y + map.height + captionHeight / 2 + Math.max(1, scale);
+        fitFont(ctx, fonts.small, map.width, () => ctx.measureText(text).width);
+        drawText(ctx, text, map.x, y, theme.subtitle);
+    }
+}
+
+module.exports = {
+    auroraBoundary,
+    drawMap,
+};
@@ -0,0 +1,188 @@
+// --- METRICS ---
+// Prometheus text exposition for /metrics: a small registry of counters,
+// gauges and histograms with labels, plus the solar data itself as gauges
+// (numeric fields, band conditions as levels) to be set from the latest
+// snapshot at scrape time.
+
+const { SCALAR_FIELDS } = require('./providers/normalize');
+const { comparable } = require('./alerts');
+
+const RENDER_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const FETCH_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Band conditions as levels, so they can be graphed and alerted on
+const CONDITION_LEVELS = { poor: 0, fair: 1, good: 2 };
+
+// Scalar fields exported as a solar_<field> gauge each
+const NUMERIC_FIELDS = SCALAR_FIELDS.filter((field) => !['source', 'updated', 'xray', 'geomagfield', 'signalnoise'].includes(field));
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map((key) => [key, String(labels[key])]));
+}
+
+// Series of one metric by label set
+function createSeries() {
+    const series = new Map();
+    return {
+        get(labels, create) {
+            const key = labelKey(labels);
+            if (!series.has(key)) series.set(key, { labels: { ...labels }, ...create() });
+            return series.get(key);
+        },
+        values() {
+            return [...series.values()];
+        },
+        clear() {
+            series.clear();
+        },
+    };
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        if (metrics.some((other) => other.name === metric.name)) throw new Error(`Duplicate metric '${metric.name}'`);
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help) {
+        const series = createSeries();
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, amount = 1) {
+                series.get(labels, () => ({ value: 0 })).value += amount;
+            },
+            lines() {
+                return series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+            },
+        });
+    }
+
+    // reset() drops every series, for gauges set from data whose label sets can
+    // disappear between scrapes
+    function gauge(name, help) {
+        const series = createSeries();
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            set(labels, value) {
+                series.get(labels, () => ({ value: 0 })).value = value;
+            },
+            reset() {
+                series.clear();
+            },
+            lines() {
+                return series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+            },
+        });
+    }
+
+    function histogram(name, help, buckets) {
+        const series = createSeries();
+        const create = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels, value) {
+                const entry = series.get(labels, create);
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            },
+            lines() {
+                return series.values().flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+                    `${name}_count${formatLabels(labels)} ${count}`,
+                ]);
+            },
+        });
+    }
+
+    function render() {
+        return `${metrics.flatMap((metric) => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines(),
+        ]).join('\n')}\n`;
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    };
+}
+
+function toNumber(value) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    return String(value).trim() === '' || !Number.isFinite(number) ? null : number;
+}
+
+// Gauges of a snapshot: the numeric scalar fields, the X-ray flux in W/m²,
+// HF band conditions as 0 (poor) to 2 (good) and VHF phenomena as 1 (open) or
+// 0 (closed). Values that are missing or not reported are left out.
+function solarGauges(data) {
+    const fields = NUMERIC_FIELDS
+        .map((field) => ({ field, value: toNumber(data[field]) }))
+        .filter(({ value }) => value !== null);
+
+    const xray = comparable(data.xray === undefined ? '' : data.xray);
+    const bands = [];
+    Object.entries(data.calculatedconditions || {}).forEach(([band, times]) => {
+        Object.entries(times || {}).forEach(([time, condition]) => {
+            const level = CONDITION_LEVELS[String(condition).trim().toLowerCase()];
+            if (level !== undefined) bands.push({ band, time, level });
+        });
+    });
+    const vhf = [];
+    Object.entries(data.calculatedvhfconditions || {}).forEach(([phenomenon, locations]) => {
+        Object.entries(locations || {}).forEach(([location, condition]) => {
+            if (typeof condition !== 'string' || condition === 'N/A') return;
+            vhf.push({ phenomenon, location, open: condition.trim().toLowerCase() === 'band closed' ? 0 : 1 });
+        });
+    });
+
+    return {
+        fields,
+        xray: typeof xray === 'number' && /^[ABCMX]/i.test(String(data.xray).trim()) ? xray : null,
+        bands,
+        vhf,
+    };
+}
+
+module.exports = {
+    RENDER_BUCKETS,
+    FETCH_BUCKETS,
+    CONDITION_LEVELS,
+    NUMERIC_FIELDS,
+    createMetricsRegistry,
+    solarGauges,
+};
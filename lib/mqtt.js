@@ -0,0 +1,178 @@
+// --- MQTT PUBLISHER ---
+// Optional: publishes every refresh as retained topics under `baseTopic`, one
+// per metric plus one per band/time of `calculatedconditions` and per VHF
+// phenomenon, and announces them with Home Assistant MQTT discovery so they
+// show up as sensors of one device without any YAML.
+//
+//   solar/status                     online / offline (last will)
+//   solar/json                       the full /solar/json payload
+//   solar/<field>                    e.g. solar/kindex
+//   solar/band/<band>/<day|night>    e.g. solar/band/80m-40m/night
+//   solar/vhf/<phenomenon>/<location>
+
+const mqtt = require('mqtt');
+
+// Metrics announced as sensors; numeric ones get a state class so Home
+// Assistant keeps long term statistics
+const SENSORS = {
+    solarflux: { name: 'Solar flux index', unit: 'sfu', icon: 'mdi:white-balance-sunny', numeric: true },
+    sunspots: { name: 'Sunspot number', icon: 'mdi:weather-sunny-alert', numeric: true },
+    kindex: { name: 'K index', icon: 'mdi:magnet', numeric: true },
+    aindex: { name: 'A index', icon: 'mdi:magnet', numeric: true },
+    xray: { name: 'X-ray flux class', icon: 'mdi:flash' },
+    solarwind: { name: 'Solar wind speed', unit: 'km/s', icon: 'mdi:weather-windy', numeric: true },
+    magneticfield: { name: 'Interplanetary magnetic field Bz', unit: 'nT', icon: 'mdi:magnet-on', numeric: true },
+    protonflux: { name: 'Proton flux', icon: 'mdi:atom', numeric: true },
+    electonflux: { name: 'Electron flux', icon: 'mdi:atom', numeric: true },
+    aurora: { name: 'Aurora activity', icon: 'mdi:aurora', numeric: true },
+    latdegree: { name: 'Aurora latitude', unit: '°', icon: 'mdi:latitude', numeric: true },
+    heliumline: { name: 'Helium line', icon: 'mdi:white-balance-sunny', numeric: true },
+    normalization: { name: 'Normalization', icon: 'mdi:tune', numeric: true },
+    geomagfield: { name: 'Geomagnetic field', icon: 'mdi:magnet' },
+    signalnoise: { name: 'Signal to noise', icon: 'mdi:signal' },
+    muf: { name: 'MUF', unit: 'MHz', icon: 'mdi:sine-wave', numeric: true },
+    fof2: { name: 'foF2', unit: 'MHz', icon: 'mdi:sine-wave', numeric: true },
+    updated: { name: 'Last update', icon: 'mdi:clock-outline' },
+};
+
+// Topic and object id segment: no MQTT wildcards or separators
+function topicSegment(text) {
+    return String(text).trim().replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+function stateValue(value) {
+    return value === undefined || value === null ? 'N/A' : String(value).trim();
+}
+
+// Every retained state topic of a snapshot with its value, and the sensor it belongs to
+function stateTopics(data, baseTopic) {
+    const topics = Object.keys(SENSORS).map((key) => ({
+        id: key,
+        topic: `${baseTopic}/${key}`,
+        value: stateValue(data[key]),
+        sensor: SENSORS[key],
+    }));
+    Object.entries(data.calculatedconditions || {}).forEach(([band, times]) => {
+        Object.entries(times || {}).forEach(([time, value]) => topics.push({
+            id: `band_${topicSegment(band)}_${topicSegment(time)}`,
+            topic: `${baseTopic}/band/${topicSegment(band)}/${topicSegment(time)}`,
+            value: stateValue(value),
+            sensor: { name: `${band} ${time}`, icon: 'mdi:radio-tower' },
+        }));
+    });
+    Object.entries(data.calculatedvhfconditions || {}).forEach(([phenomenon, locations]) => {
+        Object.entries(locations || {}).forEach(([location, value]) => topics.push({
+            id: `vhf_${topicSegment(phenomenon)}_${topicSegment(location)}`,
+            topic: `${baseTopic}/vhf/${topicSegment(phenomenon)}/${topicSegment(location)}`,
+            value: stateValue(value),
+            sensor: { name: `${phenomenon} ${location.replace(/_/g, ' ')}`, icon: 'mdi:antenna' },
+        }));
+    });
+    return topics;
+}
+
+// Home Assistant discovery config of one state topic
+function discoveryConfig(entry, { nodeId, deviceName, statusTopic }) {
+    const { sensor } = entry;
+    const config = {
+        name: sensor.name,
+        unique_id: `${nodeId}_${entry.id}`,
+        object_id: `${nodeId}_${entry.id}`,
+        state_topic: entry.topic,
+        availability_topic: statusTopic,
+        icon: sensor.icon,
+        device: {
+            identifiers: [nodeId],
+            name: deviceName,
+            manufacturer: 'hf-propagation-eink',
+            model: 'Solar-terrestrial data',
+        },
+    };
+    if (sensor.unit) config.unit_of_measurement = sensor.unit;
+    if (sensor.numeric) {
+        config.state_class = 'measurement';
+        // 'N/A' and 'NoRpt' become unknown instead of an invalid number
+        config.value_template = '{{ value | float(None) }}';
+    }
+    return config;
+}
+
+function createMqttPublisher({
+    url,
+    username,
+    password,
+    clientId = `solar-eink-${Math.random().toString(16).slice(2, 10)}`,
+    baseTopic = 'solar',
+    discovery = true,
+    discoveryPrefix = 'homeassistant',
+    nodeId = 'solar_eink',
+    deviceName = 'Solar Terrestrial Data',
+}) {
+    const statusTopic = `${baseTopic}/status`;
+    let client = null;
+    let lastData = null;
+    const announced = new Set(); // discovery topics sent on this connection
+
+    function send(topic, payload) {
+        client.publish(topic, payload, { retain: true, qos: 1 }, (error) => {
+            if (error) console.error(`MQTT publish to ${topic} failed:`, error.message);
+        });
+    }
+
+    function announce(entries) {
+        if (!discovery) return;
+        entries.forEach((entry) => {
+            const topic = `${discoveryPrefix}/sensor/${nodeId}/${entry.id}/config`;
+            if (announced.has(topic)) return;
+            announced.add(topic);
+            send(topic, JSON.stringify(discoveryConfig(entry, { nodeId, deviceName, statusTopic })));
+        });
+    }
+
+    // Publish a /solar/json document (retained), announcing sensors not seen on
+    // this connection yet
+    function publish(data) {
+        lastData = data;
+        if (!client || !client.connected) return;
+        const entries = stateTopics(data, baseTopic);
+        announce(entries);
+        entries.forEach((entry) => send(entry.topic, entry.value));
+        send(`${baseTopic}/json`, JSON.stringify(data));
+    }
+
+    function start() {
+        client = mqtt.connect(url, {
+            clientId,
+            username: username || undefined,
+            password: password || undefined,
+            will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 },
+        });
+        client.on('connect', () => {
+            console.log(`Connected to MQTT broker ${url}, publishing under ${baseTopic}/`);
+            announced.clear();
+            send(statusTopic, 'online');
+            if (lastData) publish(lastData);
+        });
+        client.on('error', (error) => console.error(`MQTT error (${url}):`, error.message));
+    }
+
+    function stop() {
+        if (!client) return;
+        send(statusTopic, 'offline');
+        client.end();
+        client = null;
+    }
+
+    return {
+        start,
+        stop,
+        publish,
+    };
+}
+
+module.exports = {
+    SENSORS,
+    stateTopics,
+    discoveryConfig,
+    createMqttPublisher,
+};
@@ -0,0 +1,159 @@
+// --- PER-REQUEST RENDER OPTIONS ---
+// Render parameters are parsed and validated for every request into a fresh
+// options object which is threaded through rendering, so concurrent requests
+// for different panels never share state.
+
+const { DITHER_METHODS, normalizeDitherMethod } = require('./framebuffer');
+const { PALETTES } = require('./palette');
+const { listLayouts } = require('./layout');
+const { isValidGrid, isValidTimezone } = require('./qth');
+const { listLanguages, DEFAULT_LANGUAGE } = require('./i18n');
+
+const RENDER_PARAMETERS = {
+    mode: {
+        type: 'integer', values: [0, 1], default: 1,
+        description: 'Condition coloring: 0 = plain text, 1 = colored conditions',
+    },
+    invert: {
+        type: 'integer', values: [0, 1], default: 0,
+        description: 'Light background theme',
+    },
+    width: {
+        type: 'integer', min: 64, max: 2048, default: 800,
+        description: 'Image width in pixels',
+    },
+    height: {
+        type: 'integer', min: 64, max: 2048, default: 480,
+        description: 'Image height in pixels',
+    },
+    layout: {
+        type: 'string', values: ['auto', ...listLayouts().map((layout) => layout.name)], default: 'auto',
+        description: 'Widget layout, auto picks the built-in layout closest to the image size',
+    },
+    rotate: {
+        type: 'integer', values: [0, 90, 180, 270], default: null,
+        description: 'Clockwise rotation of the drawing on the panel in degrees',
+    },
+    orientation: {
+        type: 'string', values: ['landscape', 'portrait'], default: null,
+        description: 'Drawing orientation, rotates a quarter turn when it does not match width/height (ignored with rotate)',
+    },
+    bw_mode: {
+        type: 'integer', values: [0, 1], default: 0,
+        description: 'Pure black and white theme',
+    },
+    palette: {
+        type: 'string', values: Object.keys(PALETTES), default: null,
+        description: 'Color e-paper palette, overrides mode, invert and bw_mode',
+    },
+    dither: {
+        type: 'string', values: DITHER_METHODS, default: null, normalize: normalizeDitherMethod,
+        description: 'Dithering for e-paper outputs (threshold when not set, aliases: none, floyd, fs, bayer)',
+    },
+    threshold: {
+        type: 'integer', min: 0, max: 255, default: 128,
+        description: 'Black/white cut-off for 1-bit outputs',
+    },
+    bpp: {
+        type: 'integer', values: [1, 2], default: 1,
+        description: 'Bits per pixel for grey e-paper outputs: 1 = black/white, 2 = 4 grey levels',
+    },
+    plane: {
+        type: 'string', values: ['black', 'color'], default: null,
+        description: 'Single plane of a tri-color raw framebuffer',
+    },
+    grid: {
+        type: 'string', default: null, validate: isValidGrid, format: 'Maidenhead locator, e.g. JO62qm',
+        description: 'Station location for the active day/night column and sunrise/sunset, overrides the configured qth',
+    },
+    lang: {
+        type: 'string', values: listLanguages().map((language) => language.lang), default: DEFAULT_LANGUAGE,
+        description: 'Language of the labels, condition words and dates',
+    },
+    tz: {
+        type: 'string', default: null, validate: isValidTimezone, format: 'timezone name from the IANA database, e.g. Europe/Berlin',
+        description: 'Timezone of the clock and sun times, overrides the device and station timezone',
+    },
+    ignore_clock: {
+        type: 'integer', values: [0, 1], default: 0,
+        description: 'Leave the clock out of ETag and change detection, so only data changes count',
+    },
+};
+
+class RenderOptionsError extends Error {
+    constructor(errors) {
+        super(`Invalid render options: ${errors.map((e) => e.message).join('; ')}`);
+        this.name = 'RenderOptionsError';
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+function parseValue(name, spec, raw) {
+    if (Array.isArray(raw)) {
+        return { error: `${name} was given more than once` };
+    }
+
+    let value = raw;
+    if (spec.type === 'integer') {
+        if (!/^-?\d+$/.test(String(raw).trim())) {
+            return { error: `${name} must be an integer` };
+        }
+        value = parseInt(raw, 10);
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            return { error: `${name} must be between ${spec.min} and ${spec.max}` };
+        }
+    } else if (spec.normalize) {
+        value = spec.normalize(raw) || raw;
+    }
+
+    if (spec.validate && !spec.validate(value)) {
+        return { error: `${name} must be a ${spec.format}` };
+    }
+
+    if (spec.values && !spec.values.includes(value)) {
+        return { error: `${name} must be one of: ${spec.values.join(', ')}` };
+    }
+    return { value };
+}
+
+// Build a validated options object from query parameters (or any plain object).
+// Parameters that are not render options are ignored, invalid values throw.
+function parseRenderOptions(query = {}) {
+    const options = {};
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(RENDER_PARAMETERS)) {
+        const raw = query[name];
+        if (raw === undefined || raw === '') {
+            options[name] = spec.default;
+            continue;
+        }
+        const { value, error } = parseValue(name, spec, raw);
+        if (error) {
+            errors.push({ parameter: name, value: raw, message: error });
+        } else {
+            options[name] = value;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new RenderOptionsError(errors);
+    }
+    return options;
+}
+
+// JSON description of the accepted parameters, returned with 400 responses
+function describeRenderParameters() {
+    return Object.fromEntries(Object.entries(RENDER_PARAMETERS).map(([name, spec]) => {
+        const { normalize, validate, ...description } = spec;
+        return [name, description];
+    }));
+}
+
+module.exports = {
+    RENDER_PARAMETERS,
+    RenderOptionsError,
+    parseRenderOptions,
+    describeRenderParameters,
+};
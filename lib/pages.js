@@ -0,0 +1,331 @@
+// --- HTML PAGES ---
+// Small server-rendered pages for people rather than panels.
+
+const { FONT_FAMILY } = require('./draw');
+const { formatAge } = require('./screens');
+
+const HEALTH_COLORS = {
+    'ok': '#00ff00',
+    'low-battery': '#ffa500',
+    'weak-signal': '#ffa500',
+    'offline': '#ff0000',
+    'never-seen': '#a9a9a9',
+};
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// `style` adds page specific CSS rules
+function page(title, body, style = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { background-color: #282c34; color: #ffffff; font-family: ${FONT_FAMILY}, monospace; margin: 2em; }
+        table { border-collapse: collapse; }
+        th, td { border-bottom: 1px solid #a9a9a9; padding: 0.4em 1em; text-align: left; vertical-align: top; }
+        a { color: #ffffff; }
+        .dim { color: #a9a9a9; }
+${style}    </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function lastSeenCell(lastSeen, now) {
+    if (!lastSeen) return '<span class="dim">never</span>';
+    const age = formatAge(Math.max(0, now - Date.parse(lastSeen)) / 1000);
+    return `${age} ago<br><span class="dim">${escapeHtml(lastSeen)}</span>`;
+}
+
+// Table of the configured devices as returned by the device registry's list()
+function devicesPage(devices, now = Date.now()) {
+    const rows = devices.map((device) => {
+        // The preview uses the /solar routes so it isn't recorded as a device request
+        const render = Object.entries(device.render).map(([key, value]) => `${key}=${value}`).join(' ');
+        const color = HEALTH_COLORS[device.health] || '#ffffff';
+        return `<tr>
+    <td>${escapeHtml(device.name)}<br><span class="dim">${escapeHtml(device.id)}</span></td>
+    <td style="color: ${color}">${escapeHtml(device.health)}</td>
+    <td>${lastSeenCell(device.lastSeen, now)}</td>
+    <td>${device.battery === null ? '-' : `${escapeHtml(device.battery)} V`}</td>
+    <td>${device.rssi === null ? '-' : `${escapeHtml(device.rssi)} dBm`}</td>
+    <td>${device.requests}<br><span class="dim">${escapeHtml(device.lastEndpoint || '')}</span></td>
+    <td><span class="dim">${escapeHtml(render)}<br>${escapeHtml(device.timezone)}</span></td>
+    <td><a href="/solar/canvas?${escapeHtml(new URLSearchParams(device.render))}">preview</a></td>
+</tr>`;
+    });
+    const table = devices.length === 0
+        ? '<p class="dim">No devices configured. Add profiles to <code>devices</code> in the config file.</p>'
+        : `<table>
+<tr><th>Device</th><th>Health</th><th>Last seen</th><th>Battery</th><th>RSSI</th><th>Requests</th><th>Profile</th><th></th></tr>
+${rows.join('\n')}
+</table>`;
+    return page('Devices', `<h1>Devices</h1>\n${table}`);
+}
+
+// Panel as a sharp SVG that follows the data: /solar/json is polled every
+// `interval` seconds, the image reloads when the data changed or a minute has
+// passed (for the clock). `imageUrl` is the SVG of the same route and options.
+function livePanelPage({ imageUrl, interval }) {
+    const body = `<div class="live">
+    <img id="panel" src="${escapeHtml(imageUrl)}" alt="Solar Terrestrial Data">
+    <p id="status" class="dim">Loading...</p>
+</div>
+<script>
+const imageUrl = ${JSON.stringify(imageUrl)};
+const interval = ${Number(interval)} * 1000;
+const panel = document.getElementById('panel');
+const statusLine = document.getElementById('status');
+let version = null;
+let loadedAt = Date.now();
+
+function reload() {
+    loadedAt = Date.now();
+    panel.src = imageUrl + (imageUrl.includes('?') ? '&' : '?') + '_=' + loadedAt;
+}
+
+async function poll() {
+    try {
+        const response = await fetch('/solar/json', { cache: 'no-store' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.lastError ? data.lastError.message : 'HTTP ' + response.status);
+        const current = data.updated + '|' + data.fetchedAt + '|' + data.stale;
+        if ((version !== null && current !== version) || Date.now() - loadedAt >= 60000) reload();
+        version = current;
+        statusLine.textContent = 'Data ' + String(data.updated).trim() + ' from ' + data.provider
+            + (data.stale ? ', STALE' : '') + (data.lastError ? ', last refresh failed: ' + data.lastError.message : '');
+    } catch (error) {
+        statusLine.textContent = 'Cannot reach the server: ' + error.message;
+    }
+}
+
+poll();
+setInterval(poll, interval);
+</script>`;
+    return page('Solar Terrestrial Data', body, `        .live { display: flex; flex-direction: column; align-items: center; }
+        .live img { border: 2px solid #ffffff; max-width: 100%; height: auto; }
+`);
+}
+
+// Common e-paper panel sizes for the size presets of the configurator
+const PANEL_SIZES = [
+    { name: '2.9" (296x128)', width: 296, height: 128 },
+    { name: '4.2" (400x300)', width: 400, height: 300 },
+    { name: '5.65" ACeP (600x448)', width: 600, height: 448 },
+    { name: '5.83" (648x480)', width: 648, height: 480 },
+    { name: '7.5" (800x480)', width: 800, height: 480 },
+    { name: '7.5" HD (880x528)', width: 880, height: 528 },
+    { name: 'Inkplate 6 (800x600)', width: 800, height: 600 },
+    { name: '9.7" (1200x825)', width: 1200, height: 825 },
+    { name: '13.3" (1600x1200)', width: 1600, height: 1200 },
+];
+
+// Output routes the configurator builds URLs for
+const CONFIGURE_ENDPOINTS = ['png', 'bmp', 'raw', 'svg', 'pdf', 'canvas'];
+
+// One form control per render parameter: a select for parameters with a list
+// of values (with `labels` naming them), a number or text input otherwise
+function parameterControl(name, spec, value, labels = {}) {
+    const current = value === undefined ? '' : String(value);
+    const attributes = `name="${escapeHtml(name)}" id="${escapeHtml(name)}" data-default="${escapeHtml(spec.default === null ? '' : spec.default)}"`;
+    if (spec.values) {
+        const options = [`<option value=""${current === '' ? ' selected' : ''}>default${spec.default === null ? '' : ` (${escapeHtml(labels[spec.default] || spec.default)})`}</option>`,
+            ...spec.values.map((option) => `<option value="${escapeHtml(option)}"${current === String(option) ? ' selected' : ''}>${escapeHtml(labels[option] || option)}</option>`)];
+        return `<select ${attributes}>${options.join('')}</select>`;
+    }
+    if (spec.type === 'integer') {
+        return `<input type="number" ${attributes} min="${spec.min}" max="${spec.max}" placeholder="${escapeHtml(spec.default)}" value="${escapeHtml(current)}">`;
+    }
+    return `<input type="text" ${attributes} placeholder="${escapeHtml(spec.format || '')}" value="${escapeHtml(current)}">`;
+}
+
+// Render option editor with a live preview: every parameter of
+// describeRenderParameters() as a control, size presets, a preview of
+// /solar/png (optionally on a paper-tinted background with the panel's grey
+// levels), the resulting URL and a device profile to paste into the config.
+// `initial` prefills the form, `devices` (from the registry) can be loaded into it.
+function configurePage({ parameters, labels = {}, initial = {}, devices = [] }) {
+    const { width, height, ...rest } = parameters;
+    const presets = PANEL_SIZES.map((size) => `<option value="${size.width}x${size.height}">${escapeHtml(size.name)}</option>`);
+    const rows = Object.entries(rest).map(([name, spec]) => `<tr>
+    <td><label for="${escapeHtml(name)}">${escapeHtml(name)}</label></td>
+    <td>${parameterControl(name, spec, initial[name], labels[name])}<br><span class="dim">${escapeHtml(spec.description)}</span></td>
+</tr>`);
+    const deviceOptions = devices.map((device) => `<option value="${escapeHtml(device.id)}">${escapeHtml(device.name)}</option>`);
+
+    const body = `<h1>Configure a panel</h1>
+<div class="configure">
+<form id="options" autocomplete="off">
+<table>
+<tr>
+    <td><label for="size">size</label></td>
+    <td><select id="size"><option value="">custom</option>${presets.join('')}</select>
+        ${parameterControl('width', width, initial.width)} x ${parameterControl('height', height, initial.height)}<br>
+        <span class="dim">Panel size in pixels</span></td>
+</tr>
+${rows.join('\n')}
+${devices.length > 0 ? `<tr>
+    <td><label for="device">device</label></td>
+    <td><select id="device"><option value="">-</option>${deviceOptions.join('')}</select><br>
+        <span class="dim">Load the options of a configured device profile</span></td>
+</tr>` : ''}
+</table>
+</form>
+<div class="preview">
+    <p>
+        <label><input type="checkbox" id="simulate" checked> e-paper preview</label>
+        <label><input type="checkbox" id="actualSize"> actual size</label>
+    </p>
+    <div id="paper" class="paper"><img id="panel" alt="Panel preview"></div>
+    <p id="status" class="dim">Loading...</p>
+    <h2>URL</h2>
+    <p>
+        <select id="endpoint">${CONFIGURE_ENDPOINTS.map((endpoint) => `<option>${endpoint}</option>`).join('')}</select>
+        <a id="open" target="_blank">open</a>
+    </p>
+    <pre id="url"></pre>
+    <h2>Device profile</h2>
+    <p><label>id <input type="text" id="deviceId" value="panel"></label></p>
+    <pre id="profile"></pre>
+    <pre id="deviceUrl"></pre>
+</div>
+</div>
+<script>
+const devices = ${JSON.stringify(Object.fromEntries(devices.map((device) => [device.id, device.render]))).replace(/</g, '\\u003c')};
+const defaults = { width: '${Number(width.default)}', height: '${Number(height.default)}' };
+const form = document.getElementById('options');
+const controls = [...form.querySelectorAll('[data-default]')];
+const panel = document.getElementById('panel');
+const paper = document.getElementById('paper');
+const statusLine = document.getElementById('status');
+const simulate = document.getElementById('simulate');
+const actualSize = document.getElementById('actualSize');
+const endpoint = document.getElementById('endpoint');
+const deviceId = document.getElementById('deviceId');
+const size = document.getElementById('size');
+let timer = null;
+let pending = null;
+
+// Only the values that differ from the defaults end up in the URL
+function selected() {
+    const values = {};
+    controls.forEach((control) => {
+        const value = control.value.trim();
+        if (value !== '' && value !== control.dataset.default) values[control.name] = value;
+    });
+    return values;
+}
+
+function query(values) {
+    const text = new URLSearchParams(values).toString();
+    return text ? '?' + text : '';
+}
+
+function describe(values) {
+    const url = location.origin + '/solar/' + endpoint.value + query(values);
+    document.getElementById('url').textContent = url;
+    document.getElementById('open').href = url;
+    const profile = {};
+    Object.entries(values).forEach(([name, value]) => {
+        profile[name] = /^-?\\d+$/.test(value) ? Number(value) : value;
+    });
+    const id = deviceId.value.trim() || 'panel';
+    document.getElementById('profile').textContent = JSON.stringify({ devices: { [id]: profile } }, null, 4);
+    document.getElementById('deviceUrl').textContent = location.origin + '/device/' + encodeURIComponent(id) + '/' + endpoint.value;
+}
+
+// The PNG shows the panel's inks or, with the e-paper preview, its grey levels
+async function preview(values) {
+    const request = { ...values };
+    if (simulate.checked && !request.dither && !request.palette) request.dither = 'threshold';
+    if (pending) pending.abort();
+    pending = new AbortController();
+    try {
+        const response = await fetch('/solar/png' + query(request), { signal: pending.signal, cache: 'no-store' });
+        const type = response.headers.get('Content-Type') || '';
+        if (!type.startsWith('image/')) {
+            const body = await response.json();
+            throw new Error((body.details || []).map((detail) => detail.message).join('; ') || body.error || 'HTTP ' + response.status);
+        }
+        const blob = await response.blob();
+        if (panel.src) URL.revokeObjectURL(panel.src);
+        panel.src = URL.createObjectURL(blob);
+        const screen = response.headers.get('X-Status-Screen');
+        statusLine.textContent = (values.width || defaults.width) + 'x' + (values.height || defaults.height)
+            + (screen ? ', status screen: ' + screen : '') + (response.headers.get('X-Data-Stale') === '1' ? ', data is stale' : '');
+    } catch (error) {
+        if (error.name !== 'AbortError') statusLine.textContent = error.message;
+    }
+}
+
+function update() {
+    const values = selected();
+    const current = (values.width || defaults.width) + 'x' + (values.height || defaults.height);
+    size.value = [...size.options].some((option) => option.value === current) ? current : '';
+    paper.classList.toggle('simulated', simulate.checked);
+    panel.classList.toggle('actual', actualSize.checked);
+    describe(values);
+    clearTimeout(timer);
+    timer = setTimeout(() => preview(values), 300);
+}
+
+size.addEventListener('change', () => {
+    if (!size.value) return;
+    const [w, h] = size.value.split('x');
+    form.elements.width.value = w;
+    form.elements.height.value = h;
+    update();
+});
+
+const device = document.getElementById('device');
+if (device) {
+    device.addEventListener('change', () => {
+        const render = devices[device.value];
+        if (!render) return;
+        controls.forEach((control) => { control.value = render[control.name] === undefined ? '' : String(render[control.name]); });
+        deviceId.value = device.value;
+        update();
+    });
+}
+
+form.addEventListener('input', update);
+form.addEventListener('change', update);
+[simulate, actualSize, endpoint, deviceId].forEach((control) => control.addEventListener('input', update));
+[simulate, actualSize, endpoint].forEach((control) => control.addEventListener('change', update));
+update();
+</script>`;
+    return page('Configure a panel', body, `        .configure { display: flex; flex-wrap: wrap; gap: 2em; align-items: flex-start; }
+        .configure td { border: none; padding: 0.3em 0.5em; }
+        .configure input[type=number] { width: 6em; }
+        .configure select, .configure input { font-family: inherit; }
+        .preview { flex: 1; min-width: 320px; }
+        .paper { display: inline-block; padding: 12px; background: #111111; border-radius: 6px; }
+        .paper img { display: block; max-width: 100%; height: auto; }
+        .paper img.actual { max-width: none; }
+        /* Paper white and a little ink spread, as a panel looks next to a screen */
+        .paper.simulated { background: #e6e3da; box-shadow: inset 0 0 0 10px #3a3a3a; }
+        .paper.simulated img { mix-blend-mode: multiply; filter: contrast(0.92) blur(0.3px); }
+        pre { background: #1e2127; padding: 0.8em; white-space: pre-wrap; word-break: break-all; }
+`);
+}
+
+module.exports = {
+    escapeHtml,
+    page,
+    devicesPage,
+    livePanelPage,
+    configurePage,
+};
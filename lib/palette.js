@@ -0,0 +1,187 @@
+// --- COLOR E-PAPER PALETTES ---
+// Palettes for tri-color (black/white/red, black/white/yellow) and 7-color ACeP
+// panels: a render theme using only the panel's inks, strict quantization of the
+// rendered canvas to those inks and the plane/packed layouts drivers expect.
+
+const { BAYER_4 } = require('./framebuffer');
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+const RED = [255, 0, 0];
+const YELLOW = [255, 255, 0];
+const GREEN = [0, 255, 0];
+const BLUE = [0, 0, 255];
+const ORANGE = [255, 128, 0];
+
+const hex = ([r, g, b]) => '#' + [r, g, b].map((v) => v.toString(16).padStart(2, '0')).join('');
+
+// Each palette lists its inks in panel index order (the value the driver expects
+// for that ink in packed formats) and the theme used to render onto it.
+const PALETTES = {
+    bwr: {
+        name: 'Black / White / Red',
+        colors: [BLACK, WHITE, RED],
+        accent: 2,
+        theme: {
+            background: hex(WHITE), title: hex(BLACK), subtitle: hex(BLACK), text: hex(BLACK), separator: hex(BLACK),
+            good: hex(BLACK), green: hex(BLACK), fair: hex(BLACK), poor: hex(RED),
+            highlight: hex(RED), highlightText: hex(WHITE),
+        },
+    },
+    bwy: {
+        name: 'Black / White / Yellow',
+        colors: [BLACK, WHITE, YELLOW],
+        accent: 2,
+        theme: {
+            background: hex(WHITE), title: hex(BLACK), subtitle: hex(BLACK), text: hex(BLACK), separator: hex(BLACK),
+            good: hex(BLACK), green: hex(BLACK), fair: hex(BLACK), poor: hex(BLACK),
+            highlight: hex(YELLOW), highlightText: hex(BLACK),
+            // Yellow text would barely show on white: good conditions are boxed
+            // in black and poor ones in yellow, fair stays plain text
+            goodHighlight: hex(BLACK), goodHighlightText: hex(WHITE),
+            poorHighlight: hex(YELLOW), poorHighlightText: hex(BLACK),
+        },
+    },
+    // Waveshare / GoodDisplay 5.65" and 4.01" ACeP index order
+    acep7: {
+        name: '7-color ACeP',
+        colors: [BLACK, WHITE, GREEN, BLUE, RED, YELLOW, ORANGE],
+        accent: null,
+        theme: {
+            background: hex(WHITE), title: hex(BLUE), subtitle: hex(BLACK), text: hex(BLACK), separator: hex(BLUE),
+            good: hex(GREEN), green: hex(GREEN), fair: hex(ORANGE), poor: hex(RED),
+            highlight: hex(GREEN), highlightText: hex(BLACK),
+        },
+    },
+};
+
+function getPalette(name) {
+    return name && Object.prototype.hasOwnProperty.call(PALETTES, name) ? PALETTES[name] : null;
+}
+
+// Weighted RGB distance, close enough to perceptual for a handful of inks
+function nearestColor(colors, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < colors.length; i++) {
+        const [cr, cg, cb] = colors[i];
+        const distance = 0.3 * (r - cr) ** 2 + 0.59 * (g - cg) ** 2 + 0.11 * (b - cb) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+// RGBA canvas -> palette indices, optionally dithered
+function quantizeCanvas(canvas, palette, { method = 'threshold' } = {}) {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const { colors } = palette;
+    const out = new Uint8Array(width * height);
+
+    // Composite alpha on white first so transparent pixels become paper
+    const rgb = new Float32Array(width * height * 3);
+    for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+        const a = data[p + 3] / 255;
+        rgb[i * 3] = data[p] * a + 255 * (1 - a);
+        rgb[i * 3 + 1] = data[p + 1] * a + 255 * (1 - a);
+        rgb[i * 3 + 2] = data[p + 2] * a + 255 * (1 - a);
+    }
+
+    if (method === 'floyd-steinberg') {
+        const spread = (i, er, eg, eb, weight) => {
+            rgb[i * 3] += er * weight;
+            rgb[i * 3 + 1] += eg * weight;
+            rgb[i * 3 + 2] += eb * weight;
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const r = rgb[i * 3], g = rgb[i * 3 + 1], b = rgb[i * 3 + 2];
+                const index = nearestColor(colors, r, g, b);
+                out[i] = index;
+                const [cr, cg, cb] = colors[index];
+                const er = r - cr, eg = g - cg, eb = b - cb;
+                if (x + 1 < width) spread(i + 1, er, eg, eb, 7 / 16);
+                if (y + 1 < height) {
+                    if (x > 0) spread(i + width - 1, er, eg, eb, 3 / 16);
+                    spread(i + width, er, eg, eb, 5 / 16);
+                    if (x + 1 < width) spread(i + width + 1, er, eg, eb, 1 / 16);
+                }
+            }
+        }
+        return out;
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            // Ordered dithering nudges each channel by up to half the ink spacing
+            const bias = method === 'ordered' ? ((BAYER_4[y & 3][x & 3] + 0.5) / 16 - 0.5) * 128 : 0;
+            out[i] = nearestColor(colors, rgb[i * 3] + bias, rgb[i * 3 + 1] + bias, rgb[i * 3 + 2] + bias);
+        }
+    }
+    return out;
+}
+
+// Write palette indices back onto the canvas so PNG output shows exactly the panel's inks
+function applyPaletteToCanvas(canvas, indexData, palette) {
+    const { width, height } = canvas;
+    const context = canvas.getContext('2d');
+    const image = context.getImageData(0, 0, width, height);
+    for (let i = 0, p = 0; i < indexData.length; i++, p += 4) {
+        const [r, g, b] = palette.colors[indexData[i]];
+        image.data[p] = r;
+        image.data[p + 1] = g;
+        image.data[p + 2] = b;
+        image.data[p + 3] = 255;
+    }
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// Tri-color drivers take two 1bpp planes in the usual MSB-first layout. In both
+// planes a cleared bit means ink: black pixels in the black plane, accent
+// (red/yellow) pixels in the color plane.
+function splitPlanes(indexData, width, height, palette) {
+    if (palette.accent === null) {
+        throw new Error(`Palette '${palette.name}' has no separate color plane`);
+    }
+    const rowBytes = Math.ceil(width / 8);
+    const black = Buffer.alloc(rowBytes * height, 0xff);
+    const color = Buffer.alloc(rowBytes * height, 0xff);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = indexData[y * width + x];
+            const byteIndex = y * rowBytes + (x >> 3);
+            const mask = 0x80 >> (x & 7);
+            if (index === 0) black[byteIndex] &= ~mask;
+            if (index === palette.accent) color[byteIndex] &= ~mask;
+        }
+    }
+    return { black, color };
+}
+
+// ACeP drivers take 4 bits per pixel, two pixels per byte, high nibble first
+function packIndexed4(indexData, width, height) {
+    const rowBytes = Math.ceil(width / 2);
+    const buffer = Buffer.alloc(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const shift = x & 1 ? 0 : 4;
+            buffer[y * rowBytes + (x >> 1)] |= (indexData[y * width + x] & 0x0f) << shift;
+        }
+    }
+    return buffer;
+}
+
+module.exports = {
+    PALETTES,
+    getPalette,
+    quantizeCanvas,
+    applyPaletteToCanvas,
+    splitPlanes,
+    packIndexed4,
+};
@@ -0,0 +1,147 @@
+// --- RENDER PIPELINE ---
+// Render options to encoded panel image, shared by the HTTP routes, the CLI
+// and the push scheduler: resolve the options (QTH and timezone included),
+// draw the panel, quantize it to the panel's inks or grey levels and encode
+// it as PNG, BMP, a raw framebuffer, SVG or PDF.
+
+const framebuffer = require('./framebuffer');
+const palettes = require('./palette');
+const { parseRenderOptions } = require('./options');
+const { renderSolarCanvas } = require('./render');
+const { parseQth } = require('./qth');
+
+// Encodings of the panel with their content type and file extension
+const IMAGE_FORMATS = {
+    png: { contentType: 'image/png', extension: 'png' },
+    bmp: { contentType: 'image/bmp', extension: 'bmp' },
+    raw: { contentType: 'application/octet-stream', extension: 'bin' },
+    svg: { contentType: 'image/svg+xml', extension: 'svg', surface: 'svg' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf', surface: 'pdf' },
+};
+
+// Validated render options from query parameters (or a device profile): the
+// station's QTH unless `grid` is given, and the timezone from `tz`, then
+// `extra.timezone` (a device's), then the station's. Throws RenderOptionsError.
+function resolveRenderOptions(query, { station = null, extra = {} } = {}) {
+    const options = parseRenderOptions(query);
+    const qth = options.grid ? parseQth({ grid: options.grid }) : station;
+    const timezone = options.tz || extra.timezone || (station ? station.timezone : 'UTC');
+    return { ...options, qth, ...extra, timezone };
+}
+
+// Quantize the rendered canvas to what the panel can show: the inks of the selected
+// palette, or the grey levels selected by bpp, applying the selected dithering
+function renderPanelIndices(canvas, options) {
+    const method = options.dither || 'threshold';
+    const panelPalette = palettes.getPalette(options.palette);
+    if (panelPalette) {
+        const indexData = palettes.quantizeCanvas(canvas, panelPalette, { method });
+        return { indexData, colors: panelPalette.colors, palette: panelPalette };
+    }
+
+    const levels = 1 << options.bpp;
+    const indexData = framebuffer.canvasToLevels(canvas, {
+        method,
+        levels,
+        threshold: options.threshold,
+    });
+    return { indexData, colors: framebuffer.grayPalette(levels), palette: null };
+}
+
+// PNG of the canvas as the panel will show it: palettes are always quantized
+// strictly to the panel's inks, grey levels are previewed when dithering is
+// explicitly requested
+function encodePanelPng(canvas, options, panel = null) {
+    if (options.palette) {
+        const { indexData, palette } = panel || renderPanelIndices(canvas, options);
+        palettes.applyPaletteToCanvas(canvas, indexData, palette);
+    } else if (options.dither) {
+        const { indexData, colors } = panel || renderPanelIndices(canvas, options);
+        framebuffer.applyLevelsToCanvas(canvas, indexData, colors.length);
+    }
+    return canvas.toBuffer('image/png');
+}
+
+// The pixels `format` is encoded from, for frameHash(): the panel indices of
+// BMP, raw and quantized PNG, the full color RGBA of any other PNG. `key`
+// names the encoding, so e.g. bpp=1 and bpp=2 never hash alike. Call before
+// encoding, encodePanelPng() paints the quantized colors into the canvas.
+function encodedPixels(canvas, options, format, panel) {
+    if (format === 'png' && !options.palette && !options.dither) {
+        const { width, height } = canvas;
+        return { pixels: canvas.getContext('2d').getImageData(0, 0, width, height).data, channels: 4, key: 'png:rgba' };
+    }
+    const encoding = options.palette || `${panel.colors.length} levels`;
+    const plane = format === 'raw' && options.plane ? `:${options.plane}` : '';
+    return { pixels: panel.indexData, channels: 1, key: `${format}:${encoding}${plane}` };
+}
+
+// Raw packed framebuffer (MSB first, rows padded to a byte) with the headers
+// describing it. Tri-color palettes give the black plane followed by the color
+// plane, or just one of them with plane=black|color; ACeP gives 4 bits per pixel.
+function encodePanelRaw(canvas, options, panel) {
+    const { indexData, palette } = panel;
+    const { width, height } = canvas;
+    const headers = {};
+
+    let buffer;
+    let bpp = options.bpp;
+    if (palette && palette.accent === null) {
+        bpp = 4;
+        buffer = palettes.packIndexed4(indexData, width, height);
+    } else if (palette) {
+        bpp = 1;
+        const planes = palettes.splitPlanes(indexData, width, height, palette);
+        buffer = options.plane ? planes[options.plane] : Buffer.concat([planes.black, planes.color]);
+        headers['X-Image-Planes'] = options.plane || 'black,color';
+    } else {
+        buffer = framebuffer.packFramebuffer(indexData, width, height, bpp);
+    }
+
+    return {
+        buffer,
+        headers: { 'X-Image-Width': String(width), 'X-Image-Height': String(height), 'X-Image-Bpp': String(bpp), ...headers },
+    };
+}
+
+// Encode a canvas from renderSolarCanvas (drawn on the format's surface for
+// svg and pdf) as `format`: { buffer, contentType, headers }. `panel` is the
+// result of renderPanelIndices() when the caller already has it.
+function encodePanel(canvas, options, format, panel = null) {
+    const { contentType } = IMAGE_FORMATS[format];
+    if (format === 'svg') return { buffer: canvas.toBuffer(), contentType, headers: {} };
+    if (format === 'pdf') {
+        return { buffer: canvas.toBuffer('application/pdf', { title: 'Solar Terrestrial Data', creator: 'solar-eink' }), contentType, headers: {} };
+    }
+
+    const indices = panel || renderPanelIndices(canvas, options);
+    if (format === 'png') return { buffer: encodePanelPng(canvas, options, indices), contentType, headers: {} };
+    if (format === 'bmp') {
+        return { buffer: framebuffer.encodeBmp(indices.indexData, canvas.width, canvas.height, indices.colors), contentType, headers: {} };
+    }
+    return { ...encodePanelRaw(canvas, options, indices), contentType };
+}
+
+// Draw `data` with `options` and encode it as `format`. `sources` are passed
+// on to renderSolarCanvas (history, status, alerts). Resolves to
+// { buffer, contentType, headers, canvas, panel, pixels } (panel and the
+// encodedPixels() are null for svg/pdf).
+async function renderPanelImage(data, options, format, sources = {}) {
+    const spec = IMAGE_FORMATS[format];
+    if (!spec) throw new Error(`Unknown image format '${format}', expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    const canvas = await renderSolarCanvas(data, spec.surface ? { ...options, surface: spec.surface } : options, sources);
+    const panel = spec.surface ? null : renderPanelIndices(canvas, options);
+    const pixels = panel ? encodedPixels(canvas, options, format, panel) : null;
+    return { ...encodePanel(canvas, options, format, panel), canvas, panel, pixels };
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    resolveRenderOptions,
+    renderPanelIndices,
+    encodePanelPng,
+    encodedPixels,
+    encodePanelRaw,
+    encodePanel,
+    renderPanelImage,
+};
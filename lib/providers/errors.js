@@ -0,0 +1,30 @@
+// --- DATA ERRORS ---
+// Provider failures carry a `kind` so status screens and clients can tell an
+// unreachable source from one that answered with unusable data.
+
+const ERROR_KINDS = ['unreachable', 'malformed', 'missing-fields'];
+
+class SolarDataError extends Error {
+    constructor(kind, message) {
+        super(message);
+        this.name = 'SolarDataError';
+        this.kind = kind;
+    }
+}
+
+// Run `fn`, turning any error it throws into a SolarDataError of `kind`
+// (errors that already have a kind pass through unchanged)
+async function classify(kind, fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        if (error instanceof SolarDataError) throw error;
+        throw new SolarDataError(kind, error.message);
+    }
+}
+
+module.exports = {
+    ERROR_KINDS,
+    SolarDataError,
+    classify,
+};
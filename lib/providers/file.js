@@ -0,0 +1,49 @@
+// --- LOCAL FILE PROVIDER ---
+// Reads a saved hamqsl XML feed or a /solar/json document from disk. When
+// `path` is a directory the most recently modified .xml or .json file is used,
+// so a mirror job or a folder of recorded fixtures can feed the server offline.
+
+const fs = require('fs');
+const path = require('path');
+const { parseHamqslXml } = require('./hamqsl');
+const { normalizeSolarData } = require('./normalize');
+const { classify } = require('./errors');
+
+function newestDataFile(dir) {
+    const files = fs.readdirSync(dir)
+        .filter((file) => /\.(xml|json)$/i.test(file))
+        .map((file) => path.join(dir, file))
+        .map((file) => ({ file, mtime: fs.statSync(file).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime || b.file.localeCompare(a.file));
+    if (files.length === 0) {
+        throw new Error(`No .xml or .json files in ${dir}`);
+    }
+    return files[0].file;
+}
+
+async function readSolarFile(file) {
+    const content = await classify('unreachable', () => fs.promises.readFile(file, 'utf8'));
+    if (/\.json$/i.test(file)) {
+        return normalizeSolarData(await classify('malformed', () => JSON.parse(content)));
+    }
+    return parseHamqslXml(content);
+}
+
+function createFileProvider({ path: dataPath } = {}) {
+    if (!dataPath) {
+        throw new Error('File provider needs a path');
+    }
+    return {
+        name: 'file',
+        description: dataPath,
+        async fetchData() {
+            const file = await classify('unreachable', () => (fs.statSync(dataPath).isDirectory() ? newestDataFile(dataPath) : dataPath));
+            return readSolarFile(file);
+        },
+    };
+}
+
+module.exports = {
+    readSolarFile,
+    createFileProvider,
+};
@@ -0,0 +1,86 @@
+// --- HAMQSL PROVIDER ---
+// The solarxml.php feed from hamqsl.com (N0NBH), or any mirror of it.
+
+const fetch = require('node-fetch');
+const xml2js = require('xml2js');
+const { normalizeSolarData } = require('./normalize');
+const { SolarDataError, classify } = require('./errors');
+
+const DEFAULT_URL = 'https://www.hamqsl.com/solarxml.php';
+
+async function parseHamqslXml(xmlData) {
+    const result = await classify('malformed', () => new xml2js.Parser().parseStringPromise(xmlData));
+    if (!result?.solar?.solardata?.[0]) {
+        throw new SolarDataError('malformed', 'XML has no solar/solardata element');
+    }
+    const solardata = result.solar.solardata[0];
+
+    const safeParse = (arr, type = 'string') => {
+        if (!arr || arr.length === 0) return 'N/A';
+        const val = arr[0];
+        if (type === 'int') return parseInt(val, 10);
+        if (type === 'float') return parseFloat(val);
+        return val;
+    };
+
+    return normalizeSolarData({
+        source: safeParse(solardata.source),
+        updated: safeParse(solardata.updated),
+        solarflux: safeParse(solardata.solarflux, 'int'),
+        aindex: safeParse(solardata.aindex, 'int'),
+        kindex: safeParse(solardata.kindex, 'int'),
+        kindexnt: safeParse(solardata.kindexnt),
+        xray: safeParse(solardata.xray),
+        sunspots: safeParse(solardata.sunspots, 'int'),
+        heliumline: safeParse(solardata.heliumline, 'float'),
+        protonflux: safeParse(solardata.protonflux, 'int'),
+        electonflux: safeParse(solardata.electonflux, 'int'),
+        aurora: safeParse(solardata.aurora, 'int'),
+        normalization: safeParse(solardata.normalization, 'float'),
+        latdegree: safeParse(solardata.latdegree, 'float'),
+        solarwind: safeParse(solardata.solarwind, 'float'),
+        magneticfield: safeParse(solardata.magneticfield, 'float'),
+        geomagfield: safeParse(solardata.geomagfield),
+        signalnoise: safeParse(solardata.signalnoise),
+        fof2: safeParse(solardata.fof2),
+        muf: safeParse(solardata.muf),
+        muffactor: safeParse(solardata.muffactor),
+        calculatedconditions: solardata.calculatedconditions?.[0]?.band?.reduce(
+            (acc, { _, $: { name, time } }) => {
+                acc[name] = acc[name] || {};
+                acc[name][time] = _;
+                return acc;
+            }, {}
+        ) || {},
+        calculatedvhfconditions: solardata.calculatedvhfconditions?.[0]?.phenomenon?.reduce(
+            (acc, { _, $: { name, location } }) => {
+                acc[name] = acc[name] || {};
+                acc[name][location] = _;
+                return acc;
+            }, {}
+        ) || {},
+    });
+}
+
+function createHamqslProvider({ url = DEFAULT_URL, timeout = 10000 } = {}) {
+    return {
+        name: 'hamqsl',
+        description: url,
+        async fetchData() {
+            const xml = await classify('unreachable', async () => {
+                const response = await fetch(url, { timeout });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.text();
+            });
+            return parseHamqslXml(xml);
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_URL,
+    parseHamqslXml,
+    createHamqslProvider,
+};
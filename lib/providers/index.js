@@ -0,0 +1,66 @@
+// --- DATA PROVIDERS ---
+// Providers fetch solar data from one source and normalize it to the /solar/json
+// shape. They are tried in the configured order, the first success wins.
+
+const { createHamqslProvider } = require('./hamqsl');
+const { createNoaaProvider } = require('./noaa');
+const { createFileProvider } = require('./file');
+const { validateSolarData } = require('./normalize');
+const { ERROR_KINDS, SolarDataError } = require('./errors');
+
+const PROVIDER_TYPES = {
+    hamqsl: createHamqslProvider,
+    noaa: createNoaaProvider,
+    file: createFileProvider,
+};
+
+function createProvider(spec) {
+    const { type, ...providerOptions } = typeof spec === 'string' ? { type: spec } : spec;
+    const factory = PROVIDER_TYPES[type];
+    if (!factory) {
+        throw new Error(`Unknown data provider '${type}', expected one of: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+    }
+    return factory(providerOptions);
+}
+
+// Returns fetchSolarData(), resolving to { data, provider } from the first
+// provider that succeeds, or rejecting with every provider's error. The
+// rejection's `kind` is that of the first (preferred) provider. `onAttempt` is
+// called after every provider attempt with { provider, duration (ms), error }.
+function createProviderChain(specs, { onAttempt = () => {} } = {}) {
+    const providers = specs.map(createProvider);
+    if (providers.length === 0) {
+        throw new Error('No data providers configured');
+    }
+
+    async function fetchSolarData() {
+        const errors = [];
+        let kind = null;
+        for (const provider of providers) {
+            const started = Date.now();
+            try {
+                const data = validateSolarData(await provider.fetchData());
+                onAttempt({ provider: provider.name, duration: Date.now() - started, error: null });
+                return { data: { ...data, provider: provider.name }, provider };
+            } catch (error) {
+                onAttempt({ provider: provider.name, duration: Date.now() - started, error });
+                console.error(`Provider ${provider.name} (${provider.description}) failed:`, error.message);
+                errors.push(`${provider.name}: ${error.message}`);
+                kind = kind || error.kind || 'unreachable';
+            }
+        }
+        const error = new SolarDataError(kind, `All data providers failed (${errors.join('; ')})`);
+        error.providerErrors = errors;
+        throw error;
+    }
+
+    return { providers, fetchSolarData };
+}
+
+module.exports = {
+    ERROR_KINDS,
+    SolarDataError,
+    PROVIDER_TYPES,
+    createProvider,
+    createProviderChain,
+};
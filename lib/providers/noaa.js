@@ -0,0 +1,111 @@
+// --- NOAA SWPC PROVIDER ---
+// Planetary K/A index, F10.7 flux and GOES X-ray flux from the NOAA Space
+// Weather Prediction Center JSON products. SWPC publishes no band condition
+// estimates, so those tables stay empty.
+
+const fetch = require('node-fetch');
+const { normalizeSolarData, formatUpdated } = require('./normalize');
+const { SolarDataError, classify } = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://services.swpc.noaa.gov';
+
+const PRODUCTS = {
+    kindex: '/products/noaa-planetary-k-index.json',
+    f107: '/json/f107_cm_flux.json',
+    xray: '/json/goes/primary/xrays-6-hour.json',
+};
+
+// SWPC time tags are UTC without a zone suffix
+function parseTimeTag(tag) {
+    const text = String(tag).trim().replace(' ', 'T');
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+}
+
+// The K index product is either a table with a header row or a list of objects
+function tableRows(json) {
+    if (Array.isArray(json) && Array.isArray(json[0])) {
+        const [header, ...rows] = json;
+        return rows.map((row) => Object.fromEntries(header.map((key, i) => [key, row[i]])));
+    }
+    return Array.isArray(json) ? json : [];
+}
+
+function latestBy(rows, filter = () => true) {
+    return rows
+        .filter(filter)
+        .filter((row) => !Number.isNaN(parseTimeTag(row.time_tag).getTime()))
+        .sort((a, b) => parseTimeTag(a.time_tag) - parseTimeTag(b.time_tag))
+        .pop();
+}
+
+// GOES 0.1-0.8nm flux in W/m2 -> flare class, e.g. 1.2e-6 -> "C1.2"
+function xrayClass(flux) {
+    if (!(flux > 0)) return 'N/A';
+    const classes = [['X', 1e-4], ['M', 1e-5], ['C', 1e-6], ['B', 1e-7], ['A', 1e-8]];
+    const [letter, base] = classes.find(([, threshold]) => flux >= threshold) || classes[classes.length - 1];
+    return `${letter}${(flux / base).toFixed(1)}`;
+}
+
+// Geomagnetic field wording used by the hamqsl feed
+function geomagField(k) {
+    if (!Number.isFinite(k)) return 'N/A';
+    if (k <= 2) return 'QUIET';
+    if (k === 3) return 'UNSETTLD';
+    if (k === 4) return 'ACTIVE';
+    if (k === 5) return 'MIN STORM';
+    if (k === 6) return 'MAJ STORM';
+    return 'SEV STORM';
+}
+
+function createNoaaProvider({ baseUrl = DEFAULT_BASE_URL, timeout = 10000 } = {}) {
+    const getJson = async (product) => {
+        const text = await classify('unreachable', async () => {
+            const response = await fetch(`${baseUrl}${product}`, { timeout });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status} for ${product}`);
+            }
+            return response.text();
+        });
+        return classify('malformed', () => JSON.parse(text));
+    };
+
+    return {
+        name: 'noaa',
+        description: baseUrl,
+        async fetchData() {
+            const [kindexJson, f107Json, xrayJson] = await Promise.all([
+                getJson(PRODUCTS.kindex),
+                getJson(PRODUCTS.f107),
+                getJson(PRODUCTS.xray),
+            ]);
+
+            const kindex = latestBy(tableRows(kindexJson));
+            if (!kindex) {
+                throw new SolarDataError('missing-fields', 'NOAA K index product has no data');
+            }
+            const f107 = latestBy(tableRows(f107Json), (row) => row.frequency === undefined || Number(row.frequency) === 2800);
+            const xray = latestBy(tableRows(xrayJson), (row) => row.energy === '0.1-0.8nm');
+
+            const k = Math.round(parseFloat(kindex.Kp ?? kindex.kp_index));
+            const a = parseInt(kindex.a_running, 10);
+            const times = [kindex, f107, xray].filter(Boolean).map((row) => parseTimeTag(row.time_tag).getTime());
+
+            return normalizeSolarData({
+                source: 'NOAA SWPC',
+                updated: formatUpdated(new Date(Math.max(...times))),
+                solarflux: f107 ? Math.round(parseFloat(f107.flux)) : 'N/A',
+                kindex: Number.isFinite(k) ? k : 'N/A',
+                aindex: Number.isFinite(a) ? a : 'N/A',
+                xray: xray ? xrayClass(parseFloat(xray.flux)) : 'N/A',
+                geomagfield: geomagField(k),
+            });
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_BASE_URL,
+    PRODUCTS,
+    xrayClass,
+    createNoaaProvider,
+};
@@ -0,0 +1,59 @@
+// --- NORMALIZED SOLAR DATA ---
+// Every provider returns the shape served by /solar/json. Values a provider
+// doesn't know are 'N/A' (scalars) or {} (condition tables).
+
+const { SolarDataError } = require('./errors');
+
+const SCALAR_FIELDS = [
+    'source', 'updated', 'solarflux', 'aindex', 'kindex', 'kindexnt', 'xray', 'sunspots',
+    'heliumline', 'protonflux', 'electonflux', 'aurora', 'normalization', 'latdegree',
+    'solarwind', 'magneticfield', 'geomagfield', 'signalnoise', 'fof2', 'muf', 'muffactor',
+];
+
+// Without these there is nothing meaningful to show
+const REQUIRED_FIELDS = ['updated', 'solarflux', 'kindex'];
+
+function emptySolarData() {
+    const data = {};
+    SCALAR_FIELDS.forEach((field) => { data[field] = 'N/A'; });
+    data.calculatedconditions = {};
+    data.calculatedvhfconditions = {};
+    return data;
+}
+
+// Fill in missing fields so consumers can rely on the full shape
+function normalizeSolarData(partial) {
+    const data = { ...emptySolarData(), ...partial };
+    if (typeof data.calculatedconditions !== 'object' || data.calculatedconditions === null) data.calculatedconditions = {};
+    if (typeof data.calculatedvhfconditions !== 'object' || data.calculatedvhfconditions === null) data.calculatedvhfconditions = {};
+    return data;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '' || value === 'N/A' || Number.isNaN(value);
+}
+
+function validateSolarData(data) {
+    const missing = REQUIRED_FIELDS.filter((field) => isMissing(data[field]));
+    if (missing.length > 0) {
+        throw new SolarDataError('missing-fields', `Missing required fields: ${missing.join(', ')}`);
+    }
+    return data;
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// `updated` in the hamqsl style, e.g. "19 Oct 2026 1530 GMT"
+function formatUpdated(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()} ${pad(date.getUTCHours())}${pad(date.getUTCMinutes())} GMT`;
+}
+
+module.exports = {
+    SCALAR_FIELDS,
+    REQUIRED_FIELDS,
+    emptySolarData,
+    normalizeSolarData,
+    validateSolarData,
+    formatUpdated,
+};
@@ -0,0 +1,176 @@
+// --- PUSH TARGETS ---
+// For displays that can't poll: after every data refresh the panel is rendered
+// for each configured target and delivered to it, as an HTTP POST to the
+// device, a file in a local directory (e.g. a share the display reads) or an
+// SCP-style drop. The SCP drop is a local stand-in: `destination`
+// ("user@host:/path/file") is written below `scpRoot` as <host>/<path>, for a
+// sync job to carry over. Targets whose image didn't change (the clock aside)
+// since their last successful push are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { RENDER_PARAMETERS } = require('./options');
+const { IMAGE_FORMATS, resolveRenderOptions, renderPanelImage } = require('./pipeline');
+const { frameHash } = require('./changes');
+
+const TARGET_ID = /^[A-Za-z0-9_-]+$/;
+const SCP_DESTINATION = /^(?:([^@/:]+)@)?([^@/:]+):(.+)$/;
+
+// Write-then-rename so a reader never sees a half written image
+function writeFileAtomic(file, buffer) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, buffer);
+    fs.renameSync(tmpFile, file);
+}
+
+// Host part of an scp destination, a name that can't step out of its directory
+function isScpHost(host) {
+    return host !== '.' && host !== '..' && !/[\\/]/.test(host);
+}
+
+// Local stand-in file of an scp `destination`, below `scpRoot` whatever the
+// destination says
+function scpStandIn(destination, scpRoot) {
+    const [, , host, remotePath] = SCP_DESTINATION.exec(destination);
+    const root = path.resolve(scpRoot);
+    const file = path.join(root, host, path.normalize(`/${remotePath}`));
+    if (!isScpHost(host) || !file.startsWith(`${root}${path.sep}`)) {
+        throw new Error(`Destination ${destination} would be written outside ${root}`);
+    }
+    return file;
+}
+
+const TRANSPORTS = {
+    async http(target, image) {
+        const response = await fetch(target.url, {
+            method: target.method || 'POST',
+            headers: { 'Content-Type': image.contentType, ...image.headers, ...(target.headers || {}) },
+            body: image.buffer,
+            timeout: target.timeout || 10000,
+        });
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return target.url;
+    },
+    async directory(target, image) {
+        const file = path.join(target.path, target.filename || `solar.${IMAGE_FORMATS[target.format].extension}`);
+        writeFileAtomic(file, image.buffer);
+        return file;
+    },
+    async scp(target, image, { scpRoot }) {
+        const file = scpStandIn(target.destination, scpRoot);
+        writeFileAtomic(file, image.buffer);
+        return `${target.destination} (local stand-in ${file})`;
+    },
+};
+
+// Validated target with its render parameters split off into `render`
+function parseTarget(spec, i) {
+    const id = spec && spec.id;
+    const fail = (message) => { throw new Error(`Invalid push target ${id || i}: ${message}`); };
+    if (!id || !TARGET_ID.test(id)) fail('id may only contain letters, digits, _ and -');
+    if (!TRANSPORTS[spec.type]) fail(`type must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+
+    const render = {};
+    const target = { format: 'png', onlyChanged: true };
+    for (const [key, value] of Object.entries(spec)) {
+        if (RENDER_PARAMETERS[key]) render[key] = value;
+        else target[key] = value;
+    }
+    if (!IMAGE_FORMATS[target.format]) fail(`format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    if (target.type === 'http' && !/^https?:\/\//.test(target.url || '')) fail('url must be an http(s) URL');
+    if (target.type === 'directory' && !target.path) fail('missing path');
+    if (target.type === 'scp') {
+        const match = SCP_DESTINATION.exec(target.destination || '');
+        if (!match) fail('destination must look like user@host:/path/file');
+        if (!isScpHost(match[2])) fail(`'${match[2]}' is not a host name`);
+    }
+    return { ...target, render };
+}
+
+// `targets` from the config, `devices` the device registry (a target with
+// `device` renders with that profile's options, its own render parameters
+// override them), `station` the configured QTH, `sources()` the history,
+// status and alerts to render with, `onPush` is called with
+// { target, result: 'pushed' | 'unchanged' | 'failed', duration (ms) }.
+function createPushScheduler({ targets = [], devices = null, station = null, scpRoot, sources = () => ({}), onPush = () => {} }) {
+    const parsed = targets.map(parseTarget);
+    const ids = new Set();
+    parsed.forEach((target) => {
+        if (ids.has(target.id)) throw new Error(`Duplicate push target id '${target.id}'`);
+        ids.add(target.id);
+        if (target.device && !(devices && devices.get(target.device))) {
+            throw new Error(`Push target ${target.id} uses unknown device '${target.device}'`);
+        }
+    });
+    // Options are validated up front so a bad target fails at startup
+    parsed.forEach((target) => {
+        try {
+            optionsFor(target);
+        } catch (error) {
+            throw new Error(`Invalid push target ${target.id}: ${error.message}`);
+        }
+    });
+
+    const state = Object.fromEntries(parsed.map((target) => [target.id, {
+        lastPush: null, lastHash: null, lastError: null, pushes: 0, failures: 0,
+    }]));
+
+    function optionsFor(target) {
+        const device = target.device ? devices.get(target.device) : null;
+        const query = { ...(device ? device.render : {}), ...target.render };
+        return resolveRenderOptions(query, { station, extra: device ? { timezone: device.timezone } : {} });
+    }
+
+    async function pushTarget(target, data) {
+        const started = Date.now();
+        const targetState = state[target.id];
+        try {
+            const options = optionsFor(target);
+            const image = await renderPanelImage(data, options, target.format, sources());
+            let hash = null;
+            if (image.pixels) {
+                const { width, height } = image.canvas;
+                hash = frameHash(image.pixels, width, height, image.canvas.volatileRegions || []);
+            }
+            if (target.onlyChanged && hash !== null && hash === targetState.lastHash) {
+                onPush({ target: target.id, result: 'unchanged', duration: Date.now() - started });
+                return;
+            }
+
+            const destination = await TRANSPORTS[target.type](target, image, { scpRoot });
+            targetState.lastHash = hash;
+            targetState.lastPush = new Date().toISOString();
+            targetState.lastError = null;
+            targetState.pushes += 1;
+            console.log(`Pushed ${target.format} to ${target.id}: ${destination}`);
+            onPush({ target: target.id, result: 'pushed', duration: Date.now() - started });
+        } catch (error) {
+            targetState.failures += 1;
+            targetState.lastError = { message: error.message, time: new Date().toISOString() };
+            console.error(`Push to ${target.id} failed:`, error.message);
+            onPush({ target: target.id, result: 'failed', duration: Date.now() - started });
+        }
+    }
+
+    // Render and deliver `data` to every target, one after the other so only
+    // one panel is drawn at a time. Failures are logged, never thrown.
+    async function push(data) {
+        for (const target of parsed) {
+            await pushTarget(target, data);
+        }
+    }
+
+    function status() {
+        return parsed.map((target) => ({ id: target.id, type: target.type, format: target.format, ...state[target.id] }));
+    }
+
+    return { targets: parsed, push, status };
+}
+
+module.exports = {
+    TRANSPORTS,
+    parseTarget,
+    createPushScheduler,
+};
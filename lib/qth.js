@@ -0,0 +1,184 @@
+// --- STATION LOCATION ---
+// The station's QTH as a Maidenhead locator or lat/lon, and where the sun is
+// there: day or night, the next sunrise and sunset and the greyline windows
+// around them. Everything is computed offline from a low precision solar
+// position (good to about a minute), no network lookups.
+
+const SUNRISE_ELEVATION = -0.833; // Upper limb on the horizon, with refraction
+const GREYLINE_ELEVATION = 6; // Greyline while the sun is within this many degrees of the horizon
+const SCAN_STEP = 10 * 60 * 1000; // Elevation crossings are bracketed at this step, then bisected
+const SCAN_HOURS = 48;
+
+const GRID = /^[A-R]{2}(?:\d{2}(?:[A-X]{2}(?:\d{2})?)?)?$/i;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidGrid(grid) {
+    return typeof grid === 'string' && GRID.test(grid.trim());
+}
+
+// Center of a 2, 4, 6 or 8 character Maidenhead locator as { lat, lon }
+function gridToLatLon(grid) {
+    if (!isValidGrid(grid)) throw new Error(`Invalid Maidenhead locator '${grid}'`);
+    const text = grid.trim().toUpperCase();
+    const pairs = text.match(/../g);
+    // Size in degrees (lon, lat) of field, square, subsquare and extended square
+    const sizes = [[20, 10], [2, 1], [5 / 60, 2.5 / 60], [0.5 / 60, 0.25 / 60]];
+    let lon = -180;
+    let lat = -90;
+    pairs.forEach((pair, i) => {
+        const digits = i % 2 === 1;
+        const value = (c) => (digits ? Number(c) : c.charCodeAt(0) - 65);
+        lon += value(pair[0]) * sizes[i][0];
+        lat += value(pair[1]) * sizes[i][1];
+    });
+    const [lonSize, latSize] = sizes[pairs.length - 1];
+    return { lat: lat + latSize / 2, lon: lon + lonSize / 2 };
+}
+
+// Maidenhead locator of a position, `length` 2, 4, 6 or 8 characters
+function latLonToGrid(lat, lon, length = 6) {
+    let x = Math.min(Math.max(lon + 180, 0), 360 - 1e-9);
+    let y = Math.min(Math.max(lat + 90, 0), 180 - 1e-9);
+    let grid = '';
+    const steps = [[20, 10, 'A'], [2, 1, '0'], [5 / 60, 2.5 / 60, 'a'], [0.5 / 60, 0.25 / 60, '0']];
+    steps.slice(0, length / 2).forEach(([lonSize, latSize, base]) => {
+        const i = Math.floor(x / lonSize);
+        const j = Math.floor(y / latSize);
+        grid += String.fromCharCode(base.charCodeAt(0) + i) + String.fromCharCode(base.charCodeAt(0) + j);
+        x -= i * lonSize;
+        y -= j * latSize;
+    });
+    return grid;
+}
+
+// Validated station location from the config: { grid } or { lat, lon }, plus
+// optional timezone and name. Returns { name, grid, lat, lon, timezone }.
+function parseQth(spec) {
+    const fail = (message) => { throw new Error(`Invalid qth: ${message}`); };
+    if (!spec || typeof spec !== 'object') fail('expected an object with grid or lat/lon');
+    let { lat, lon } = spec;
+    if (spec.grid !== undefined && spec.grid !== null && spec.grid !== '') {
+        if (!isValidGrid(spec.grid)) fail(`'${spec.grid}' is not a Maidenhead locator`);
+        if (lat === undefined || lat === null || lon === undefined || lon === null) ({ lat, lon } = gridToLatLon(spec.grid));
+    }
+    lat = Number(lat);
+    lon = Number(lon);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) fail('lat must be between -90 and 90');
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) fail('lon must be between -180 and 180');
+    const timezone = spec.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) fail(`unknown timezone '${timezone}'`);
+    const grid = spec.grid ? spec.grid.trim() : latLonToGrid(lat, lon);
+    return { name: spec.name || grid, grid, lat, lon, timezone };
+}
+
+// Where the sun is overhead at `date`: { lat, lon } in degrees
+function subsolarPoint(date) {
+    const rad = Math.PI / 180;
+    const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // Days since J2000
+    const meanLongitude = (280.460 + 0.9856474 * n) % 360;
+    const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * rad;
+    const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * rad;
+    const obliquity = (23.439 - 0.0000004 * n) * rad;
+    const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+    const siderealTime = (18.697374558 + 24.06570982441908 * n) % 24 * 15 * rad;
+    const lon = ((rightAscension - siderealTime) / rad % 360 + 540) % 360 - 180;
+    return { lat: declination / rad, lon };
+}
+
+// Sun elevation in degrees above the horizon at lat/lon when it stands over `sun`
+function elevationFrom(sun, lat, lon) {
+    const rad = Math.PI / 180;
+    return Math.asin(Math.sin(lat * rad) * Math.sin(sun.lat * rad)
+        + Math.cos(lat * rad) * Math.cos(sun.lat * rad) * Math.cos((lon - sun.lon) * rad)) / rad;
+}
+
+// Sun elevation in degrees above the horizon at `date` and lat/lon
+function sunElevation(date, lat, lon) {
+    return elevationFrom(subsolarPoint(date), lat, lon);
+}
+
+// Times within `hours` after `from` at which the sun passes `elevation`, with
+// whether it is rising
+function elevationCrossings(from, qth, elevation, hours = SCAN_HOURS) {
+    const above = (time) => sunElevation(new Date(time), qth.lat, qth.lon) > elevation;
+    const crossings = [];
+    const end = from.getTime() + hours * 3600000;
+    let previous = from.getTime();
+    let previousAbove = above(previous);
+    for (let time = previous + SCAN_STEP; time <= end; time += SCAN_STEP) {
+        const nowAbove = above(time);
+        if (nowAbove !== previousAbove) {
+            let low = previous;
+            let high = time;
+            while (high - low > 1000) {
+                const middle = (low + high) / 2;
+                if (above(middle) === previousAbove) low = middle;
+                else high = middle;
+            }
+            crossings.push({ time: new Date(Math.round(high)), rising: nowAbove });
+        }
+        previous = time;
+        previousAbove = nowAbove;
+    }
+    return crossings;
+}
+
+// Where the sun is at the QTH now: { elevation, daytime, greyline }
+function sunPhase(date, qth) {
+    const elevation = sunElevation(date, qth.lat, qth.lon);
+    return {
+        elevation,
+        daytime: elevation > SUNRISE_ELEVATION,
+        greyline: Math.abs(elevation) < GREYLINE_ELEVATION,
+    };
+}
+
+// Next sunrise and sunset after `date` (null when there is none within two
+// days, near the poles), and the current or next greyline window
+// { start, end, active } (start is null while active)
+function sunTimes(date, qth) {
+    const horizon = elevationCrossings(date, qth, SUNRISE_ELEVATION);
+    const sunrise = horizon.find((crossing) => crossing.rising);
+    const sunset = horizon.find((crossing) => !crossing.rising);
+
+    // The greyline band is entered and left through its upper or lower edge
+    const edges = [...elevationCrossings(date, qth, GREYLINE_ELEVATION), ...elevationCrossings(date, qth, -GREYLINE_ELEVATION)]
+        .sort((a, b) => a.time - b.time);
+    const active = sunPhase(date, qth).greyline;
+    let greyline = null;
+    if (active) {
+        greyline = { start: null, end: edges.length > 0 ? edges[0].time : null, active };
+    } else if (edges.length > 0) {
+        greyline = { start: edges[0].time, end: edges.length > 1 ? edges[1].time : null, active };
+    }
+
+    return {
+        sunrise: sunrise ? sunrise.time : null,
+        sunset: sunset ? sunset.time : null,
+        greyline,
+    };
+}
+
+module.exports = {
+    SUNRISE_ELEVATION,
+    GREYLINE_ELEVATION,
+    isValidTimezone,
+    isValidGrid,
+    gridToLatLon,
+    latLonToGrid,
+    parseQth,
+    subsolarPoint,
+    elevationFrom,
+    sunElevation,
+    sunPhase,
+    sunTimes,
+};
@@ -0,0 +1,146 @@
+// --- CANVAS RENDERER ---
+// Draws the solar data onto a canvas using the selected layout: fills the
+// background, places every widget in its grid box (clipped so nothing spills
+// into its neighbours) and applies the panel rotation.
+
+const { createCanvas } = require('canvas');
+const { registerFonts } = require('./draw');
+const { selectLayout, placeWidgets } = require('./layout');
+const { resolveTheme } = require('./theme');
+const { getLocale } = require('./i18n');
+const { drawChart } = require('./charts');
+const { drawMap } = require('./map');
+const { drawStatusScreen, drawStaleMarker, drawAlertBanner } = require('./screens');
+const widgets = require('./widgets');
+
+registerFonts();
+
+// Rotation of the drawing on the panel: explicit `rotate`, or a quarter turn
+// when the requested orientation doesn't match the panel's width/height
+function resolveRotation(options) {
+    if (options.rotate !== null && options.rotate !== undefined) return options.rotate;
+    if (options.orientation) {
+        const panelIsLandscape = options.width >= options.height;
+        if ((options.orientation === 'landscape') !== panelIsLandscape) return 90;
+    }
+    return 0;
+}
+
+// Panel-sized canvas whose context is rotated so callers draw in the logical
+// (rotated) coordinate space of width x height, filled with the background.
+// `options.surface` 'svg' or 'pdf' draws onto a vector surface instead of pixels.
+function createPanelCanvas(options, theme) {
+    const canvas = options.surface ? createCanvas(options.width, options.height, options.surface) : createCanvas(options.width, options.height);
+    const context = canvas.getContext('2d');
+
+    const rotation = resolveRotation(options);
+    const quarterTurn = rotation === 90 || rotation === 270;
+    const width = quarterTurn ? options.height : options.width;
+    const height = quarterTurn ? options.width : options.height;
+    if (rotation === 90) context.translate(options.width, 0);
+    if (rotation === 180) context.translate(options.width, options.height);
+    if (rotation === 270) context.translate(0, options.height);
+    context.rotate(rotation * Math.PI / 180);
+
+    context.fillStyle = theme.background;
+    context.fillRect(0, 0, width, height);
+    context.textBaseline = 'middle';
+    return { canvas, context, width, height, rotation };
+}
+
+// Rectangle drawn in the logical coordinates of createPanelCanvas() in panel pixels
+function toPanelRect(rect, rotation, options) {
+    const { x, y, width, height } = rect;
+    if (rotation === 90) return { x: options.width - y - height, y: x, width: height, height: width };
+    if (rotation === 180) return { x: options.width - x - width, y: options.height - y - height, width, height };
+    if (rotation === 270) return { x: y, y: options.height - x - width, width: height, height: width };
+    return { x, y, width, height };
+}
+
+// `sources.history` is the history store used by chart and sparkline widgets,
+// `sources.status` the refresh status (a stale marker is drawn when status.stale),
+// `sources.alerts` the active alerts shown in a banner across the top.
+// Widgets report what changes on every render (the clock) with markVolatile(rect),
+// the canvas lists those regions in panel pixels as `volatileRegions`.
+async function renderSolarCanvas(data, options, sources = {}) {
+    const theme = resolveTheme(options);
+    const locale = getLocale(options.lang);
+    const { canvas, context, width, height, rotation } = createPanelCanvas(options, theme);
+    const layout = selectLayout(options.layout, width, height);
+    const volatileRegions = [];
+    const markVolatile = (rect) => volatileRegions.push(toPanelRect(rect, rotation, options));
+
+    placeWidgets(layout, width, height).forEach((widget) => {
+        context.save();
+        context.beginPath();
+        context.rect(widget.box.x, widget.box.y, widget.box.width, widget.box.height);
+        context.clip();
+        widgets[widget.type].draw({ ...widget, context, data, history: sources.history, theme, locale, options, markVolatile });
+        context.restore();
+    });
+
+    if (sources.alerts && sources.alerts.length > 0) {
+        drawAlertBanner(context, width, height, sources.alerts, theme, locale);
+    }
+    if (sources.status && sources.status.stale) {
+        drawStaleMarker(context, width, height, sources.status, theme, locale);
+    }
+    canvas.volatileRegions = volatileRegions;
+    return canvas;
+}
+
+// Standalone chart of one history field, sized like the panel outputs
+async function renderChartCanvas(history, { field, hours }, options) {
+    const theme = resolveTheme(options);
+    const { canvas, context, width, height } = createPanelCanvas(options, theme);
+
+    // Fonts scale like the landscape layout, padded to the same proportions
+    const scale = Math.min(width / 800, height / 480);
+    const padding = Math.round(20 * scale);
+    drawChart(context, {
+        box: { x: padding, y: padding, width: width - 2 * padding, height: height - 2 * padding },
+        history,
+        field,
+        hours,
+        theme,
+        locale: getLocale(options.lang),
+        fonts: { normal: 22 * scale, title: 26 * scale, small: 20 * scale },
+        scale,
+    });
+    return canvas;
+}
+
+// Standalone greyline map, `data` (optional) adds the aurora hint
+async function renderMapCanvas(data, options) {
+    const theme = resolveTheme(options);
+    const { canvas, context, width, height } = createPanelCanvas(options, theme);
+
+    const scale = Math.min(width / 800, height / 480);
+    const padding = Math.round(20 * scale);
+    drawMap(context, {
+        box: { x: padding, y: padding, width: width - 2 * padding, height: height - 2 * padding },
+        data,
+        qth: options.qth,
+        theme,
+        locale: getLocale(options.lang),
+        fonts: { normal: 22 * scale, title: 26 * scale, small: 20 * scale },
+        scale,
+    });
+    return canvas;
+}
+
+// Full panel status screen, `screen` as returned by describeError()
+async function renderStatusCanvas(screen, options) {
+    const theme = resolveTheme(options);
+    const { canvas, context, width, height } = createPanelCanvas(options, theme);
+    drawStatusScreen(context, width, height, screen, theme, getLocale(options.lang));
+    return canvas;
+}
+
+module.exports = {
+    resolveRotation,
+    renderSolarCanvas,
+    renderChartCanvas,
+    renderMapCanvas,
+    renderStatusCanvas,
+};
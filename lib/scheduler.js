@@ -0,0 +1,162 @@
+// --- REFRESH SCHEDULER ---
+// Polls the providers in the background so requests never wait on upstream:
+// every `interval` (with random jitter), backing off exponentially while
+// upstream fails. The last good payload is kept on disk and loaded at startup,
+// so a restart with upstream down still has data to serve.
+
+const fs = require('fs');
+const path = require('path');
+
+function readCache(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!cached || !cached.data || !cached.fetchedAt) throw new Error('missing data or fetchedAt');
+        return cached;
+    } catch (error) {
+        console.warn(`Ignoring unreadable cache ${file}: ${error.message}`);
+        return null;
+    }
+}
+
+// Write + rename so a crash mid-write can't leave a truncated cache behind
+function writeCache(file, cached) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(cached));
+    fs.renameSync(tmpFile, file);
+}
+
+// `fetchData` resolves to { data, provider } (see createProviderChain),
+// `onData` is called with every successfully fetched payload, its errors are
+// logged and don't count as failed refreshes
+function createRefreshScheduler({
+    fetchData,
+    cacheFile,
+    interval = 5 * 60 * 1000,
+    jitter = 0.1,
+    retryDelay = 30 * 1000,
+    maxBackoff = 60 * 60 * 1000,
+    staleAfter = 30 * 60 * 1000,
+    onData = () => {},
+}) {
+    let current = null; // { data, fetchedAt, provider }
+    let lastError = null; // { kind, message, time }
+    let lastFailure = null; // the Error behind lastError
+    let lastAttempt = null;
+    let failures = 0;
+    let inFlight = null;
+    let timer = null;
+    let nextRefresh = null;
+
+    // Spread `delay` by +/- jitter so many servers don't poll upstream in lockstep
+    function withJitter(delay) {
+        return Math.round(delay * (1 + jitter * (Math.random() * 2 - 1)));
+    }
+
+    function schedule(delay) {
+        clearTimeout(timer);
+        const jittered = Math.max(0, withJitter(delay));
+        nextRefresh = new Date(Date.now() + jittered);
+        timer = setTimeout(() => {
+            refresh().catch(() => {}); // failures are logged and rescheduled by refresh()
+        }, jittered);
+    }
+
+    async function runRefresh() {
+        lastAttempt = new Date();
+        let fetched;
+        try {
+            fetched = await fetchData();
+        } catch (error) {
+            failures += 1;
+            lastFailure = error;
+            lastError = { kind: error.kind || null, message: error.message, time: lastAttempt.toISOString() };
+            const delay = Math.min(retryDelay * 2 ** (failures - 1), maxBackoff);
+            console.error(`Error fetching solar data (attempt ${failures}, retrying in ${Math.round(delay / 1000)}s):`, error.message);
+            schedule(delay);
+            throw error;
+        }
+
+        const { data, provider } = fetched;
+        console.log(`Refreshed data from ${provider.name} (${provider.description})`);
+        current = { data, fetchedAt: new Date().toISOString(), provider: provider.name };
+        failures = 0;
+        lastError = null;
+        lastFailure = null;
+        try {
+            writeCache(cacheFile, current);
+        } catch (error) {
+            console.error(`Error writing cache ${cacheFile}:`, error.message);
+        }
+        schedule(interval);
+        // The fetch succeeded whatever the consumers make of the data
+        try {
+            onData(data);
+        } catch (error) {
+            console.error('Error handling refreshed data:', error);
+        }
+        return data;
+    }
+
+    // Fetch now, sharing the request already in flight if there is one
+    function refresh() {
+        if (!inFlight) {
+            inFlight = runRefresh().finally(() => {
+                inFlight = null;
+            });
+        }
+        return inFlight;
+    }
+
+    // Load the disk cache and start polling. A cache younger than `interval`
+    // delays the first fetch instead of hitting upstream on every restart.
+    function start() {
+        current = readCache(cacheFile);
+        if (!current) return refresh().catch(() => {});
+        const age = Date.now() - Date.parse(current.fetchedAt);
+        console.log(`Loaded cached data from ${cacheFile}, fetched ${Math.round(age / 1000)}s ago`);
+        schedule(Math.max(0, interval - age));
+        return Promise.resolve();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        nextRefresh = null;
+    }
+
+    // Latest data. Before the first successful fetch this waits for the refresh
+    // in flight, or rejects with the last failure rather than bypassing the backoff.
+    async function getData() {
+        if (current) return current.data;
+        if (lastFailure && !inFlight) throw lastFailure;
+        return refresh();
+    }
+
+    function status(now = Date.now()) {
+        const age = current ? Math.max(0, now - Date.parse(current.fetchedAt)) : null;
+        return {
+            fetchedAt: current ? current.fetchedAt : null,
+            age: age === null ? null : Math.round(age / 1000),
+            stale: age === null || age > staleAfter,
+            provider: current ? current.provider : null,
+            lastAttempt: lastAttempt ? lastAttempt.toISOString() : null,
+            lastError,
+            failures,
+            nextRefresh: nextRefresh ? nextRefresh.toISOString() : null,
+        };
+    }
+
+    return {
+        start,
+        stop,
+        refresh,
+        getData,
+        status,
+    };
+}
+
+module.exports = {
+    createRefreshScheduler,
+};
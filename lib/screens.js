@@ -0,0 +1,148 @@
+// --- STATUS SCREENS ---
+// What the panel shows instead of the data when something went wrong: a full
+// screen naming the failure with the time of the last good data, the stale
+// marker drawn over data that is too old, and the banner of active alerts.
+
+const { fitFont, font, drawText, drawHighlightedText, drawSeparator, wrapText } = require('./draw');
+const { getLocale } = require('./i18n');
+
+const ERROR_KINDS = ['unreachable', 'malformed', 'missing-fields', 'render'];
+
+// English wording of every kind, the panel shows it in the request's language
+const english = getLocale();
+const ERROR_SCREENS = Object.fromEntries(ERROR_KINDS.map((kind) => [kind, {
+    title: english.t(`status.${kind}.title`),
+    message: english.t(`status.${kind}.message`),
+}]));
+
+// "15m", "3h", "2d"
+function formatAge(seconds) {
+    if (seconds < 3600) return `${Math.max(1, Math.round(seconds / 60))}m`;
+    if (seconds < 48 * 3600) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+}
+
+// Size relative to the 800x480 design size in either orientation
+function screenScale(width, height) {
+    return Math.min(Math.max(width, height) / 800, Math.min(width, height) / 480);
+}
+
+function formatTime(iso, locale) {
+    return new Date(iso).toLocaleString(locale.tag, { timeZone: 'UTC', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZoneName: 'short' });
+}
+
+// Contents of the screen for `error`: its kind (errors without a known kind
+// count as render failures), the wording for it and the times to report
+function describeError(error, { lastUpdate = null, nextRetry = null } = {}) {
+    const kind = ERROR_SCREENS[error.kind] ? error.kind : 'render';
+    return { kind, ...ERROR_SCREENS[kind], detail: error.message, lastUpdate, nextRetry };
+}
+
+// Full screen description of `screen` (see describeError) in the logical
+// width x height of the panel in the language of `locale`, shrinking all text
+// together until it fits
+function drawStatusScreen(ctx, width, height, screen, theme, locale = getLocale(), now = Date.now()) {
+    const scale = screenScale(width, height);
+    const padding = Math.round(20 * scale);
+    const maxWidth = width - 2 * padding;
+    const title = locale.t(`status.${screen.kind}.title`);
+    const text = locale.t(`status.${screen.kind}.message`);
+    const footer = [screen.lastUpdate
+        ? locale.t('status.lastUpdate', { time: formatTime(screen.lastUpdate, locale), age: formatAge((now - Date.parse(screen.lastUpdate)) / 1000) })
+        : locale.t('status.noData')];
+    if (screen.nextRetry) footer.push(locale.t('status.nextRetry', { time: formatTime(screen.nextRetry, locale) }));
+
+    let sizes, message, detail;
+    for (let factor = 1; factor > 0.3; factor -= 0.1) {
+        sizes = {
+            title: fitFont(ctx, 30 * scale * factor, maxWidth, () => ctx.measureText(title).width),
+            message: Math.max(8, Math.round(22 * scale * factor)),
+            small: Math.max(10, Math.round(20 * scale * factor)),
+        };
+        ctx.font = font(sizes.message);
+        message = wrapText(ctx, text, maxWidth);
+        ctx.font = font(sizes.small);
+        detail = screen.detail ? wrapText(ctx, screen.detail, maxWidth) : [];
+        const total = sizes.title * 2 + (message.length + 0.5) * sizes.message * 1.3 + (detail.length + footer.length + 1) * sizes.small * 1.3;
+        if (total <= height - 2 * padding) break;
+    }
+
+    let y = padding + sizes.title * 0.7;
+    ctx.font = font(sizes.title);
+    drawHighlightedText(ctx, title, padding + sizes.title * 0.2, y, sizes.title, theme.highlight, theme.highlightText);
+    y += sizes.title;
+    drawSeparator(ctx, padding, width - padding, y, theme.separator, scale);
+    y += sizes.title * 0.3;
+
+    ctx.font = font(sizes.message);
+    message.forEach((line) => {
+        y += sizes.message * 1.3;
+        drawText(ctx, line, padding, y - sizes.message * 0.65, theme.text);
+    });
+    y += sizes.message * 0.5;
+
+    ctx.font = font(sizes.small);
+    detail.forEach((line) => {
+        y += sizes.small * 1.3;
+        drawText(ctx, line, padding, y - sizes.small * 0.65, theme.subtitle);
+    });
+
+    footer.forEach((line, i) => {
+        const lineY = height - padding - (footer.length - i - 0.5) * sizes.small * 1.3;
+        drawText(ctx, line, padding, lineY, theme.title);
+    });
+}
+
+// Inverted "STALE 3h" badge in the top right corner, drawn over the widgets so
+// a panel showing old data can't be mistaken for a current one
+function drawStaleMarker(ctx, width, height, status, theme, locale = getLocale()) {
+    const scale = screenScale(width, height);
+    const text = status.age === null ? locale.t('stale') : `${locale.t('stale')} ${formatAge(status.age)}`;
+    const size = fitFont(ctx, Math.max(12, 20 * scale), width / 3, () => ctx.measureText(text).width);
+    const margin = Math.max(2, Math.round(6 * scale));
+    drawHighlightedText(ctx, text, width - margin - size * 0.2, margin + size * 0.6, size, theme.highlight, theme.highlightText, 'right');
+}
+
+// Black or white, whichever stays readable on `color` (a hex color) when the
+// panel is cut to 1 bit at the default threshold (BT.601 luminance, as
+// framebuffer.canvasToLevels). Red, the alert color, turns black there.
+function contrastText(color) {
+    const digits = String(color).replace(/^#/, '');
+    const full = digits.length === 3 ? digits.split('').map((digit) => digit + digit).join('') : digits;
+    const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b >= 128 ? '#000000' : '#ffffff';
+}
+
+// Bar across the top of the panel listing the active alerts, covering the
+// header's title line. Messages that don't fit are counted as "+N more".
+function drawAlertBanner(ctx, width, height, alerts, theme, locale = getLocale()) {
+    const scale = screenScale(width, height);
+    const barHeight = Math.max(14, Math.round(52 * scale));
+    const padding = Math.round(20 * scale);
+    const messages = alerts.map((alert) => alert.message);
+
+    // Drop messages from the end until the rest fits at a readable size
+    let shown = messages.length;
+    let text;
+    for (;;) {
+        const more = messages.length - shown;
+        const list = `${messages.slice(0, shown).join(' | ')}${more > 0 ? ` ${locale.t('alert.more', { count: more })}` : ''}`;
+        text = locale.t('alert', { messages: list });
+        const size = fitFont(ctx, Math.max(12, barHeight * 0.45), width - 2 * padding, () => ctx.measureText(text).width);
+        if (shown === 1 || size >= barHeight * 0.35) break;
+        shown -= 1;
+    }
+
+    ctx.fillStyle = theme.poor;
+    ctx.fillRect(0, 0, width, barHeight);
+    drawText(ctx, text, padding, barHeight / 2, contrastText(theme.poor));
+}
+
+module.exports = {
+    ERROR_SCREENS,
+    formatAge,
+    describeError,
+    drawStatusScreen,
+    drawStaleMarker,
+    drawAlertBanner,
+};
@@ -0,0 +1,185 @@
+// --- TEXT OUTPUT ---
+// The panel's data as text for character LCDs (e.g. 20x4 HD44780), serial
+// terminals (optionally ANSI colored) and one-line APRS/Meshtastic bulletins.
+// Values are abbreviated to short tokens ("SFI 152", "80-40 F/G") which are
+// packed into lines of `cols` characters and split into pages of `rows` lines.
+
+const { formatAge } = require('./screens');
+
+const APRS_MESSAGE_LENGTH = 67; // Longest APRS message/bulletin text
+
+// Condition initials: G(ood), F(air), P(oor)
+const CONDITION_LETTERS = { good: 'G', fair: 'F', poor: 'P' };
+
+const METRICS = [
+    ['SFI', 'solarflux'],
+    ['SN', 'sunspots'],
+    ['A', 'aindex'],
+    ['K', 'kindex'],
+    ['X', 'xray'],
+    ['SW', 'solarwind'],
+    ['Bz', 'magneticfield'],
+    ['PF', 'protonflux'],
+    ['Aur', 'aurora'],
+    ['S/N', 'signalnoise'],
+    ['Geo', 'geomagfield'],
+    ['MUF', 'muf'],
+];
+
+const BEACON_FIRST = ['SFI', 'SN', 'A', 'K', 'X'];
+
+const VHF_ROWS = [
+    ['Aur', 'vhf-aurora', 'northern_hemi'],
+    ['6mEU', 'E-Skip', 'europe_6m'],
+    ['4mEU', 'E-Skip', 'europe_4m'],
+    ['2mEU', 'E-Skip', 'europe'],
+    ['2mNA', 'E-Skip', 'north_america'],
+];
+
+const ANSI = {
+    reset: '\x1b[0m',
+    dim: '\x1b[2m',
+    bold: '\x1b[1m',
+    good: '\x1b[32m',
+    fair: '\x1b[33m',
+    poor: '\x1b[31m',
+};
+
+function clean(value) {
+    return value === undefined || value === null ? 'N/A' : String(value).trim();
+}
+
+function conditionLetter(condition) {
+    return CONDITION_LETTERS[clean(condition).toLowerCase()] || '-';
+}
+
+function conditionStyle(letter) {
+    return { G: 'good', F: 'fair', P: 'poor' }[letter] || null;
+}
+
+// "80m-40m" -> "80-40"
+function bandLabel(band) {
+    return band.replace(/m(?=-|$)/g, '');
+}
+
+// "19 Oct 2026 1530 GMT" -> "19Oct 1530Z"
+function shortUpdated(updated) {
+    const match = /(\d{1,2})\s+([A-Za-z]{3})\s+\d{4}\s+(\d{4})/.exec(clean(updated));
+    return match ? `${match[1]}${match[2]} ${match[3]}Z` : clean(updated);
+}
+
+// A token is a list of [text, style] segments, style null or a key of ANSI
+function token(...segments) {
+    return segments.map((segment) => (Array.isArray(segment) ? segment : [segment, null]));
+}
+
+function tokenLength(parts) {
+    return parts.reduce((length, [text]) => length + text.length, 0);
+}
+
+// Named sections of tokens: time and state, metrics, HF bands (day/night),
+// VHF and active alerts
+function summarySections(data, { status = {}, alerts = [] } = {}) {
+    const head = [token(['Upd', 'dim'], ` ${shortUpdated(data.updated)}`)];
+    if (status.stale) head.push(token(['STALE', 'poor'], status.age !== null && status.age !== undefined ? ` ${formatAge(status.age)}` : ''));
+
+    const metrics = METRICS
+        .filter(([, key]) => clean(data[key]) !== 'N/A')
+        .map(([label, key]) => token([label, 'dim'], ` ${clean(data[key])}`));
+
+    const bands = Object.entries(data.calculatedconditions || {}).map(([band, times]) => {
+        const day = conditionLetter(times.day);
+        const night = conditionLetter(times.night);
+        return token([bandLabel(band), 'dim'], ' ', [day, conditionStyle(day)], '/', [night, conditionStyle(night)]);
+    });
+
+    const vhf = VHF_ROWS
+        .map(([label, phenomenon, location]) => [label, clean(data.calculatedvhfconditions?.[phenomenon]?.[location])])
+        .filter(([, value]) => value !== 'N/A')
+        .map(([label, value]) => {
+            const open = value.toLowerCase() !== 'band closed';
+            return token([label, 'dim'], ' ', open ? ['OPEN', 'good'] : 'cl');
+        });
+
+    const warnings = alerts.map((alert) => token([`!${alert.message}`, 'poor']));
+    return { head, metrics, bands, vhf, warnings };
+}
+
+// Cut a token to `cols` characters
+function truncate(parts, cols) {
+    let left = cols;
+    return parts.map(([text, style]) => {
+        const kept = text.slice(0, Math.max(0, left));
+        left -= kept.length;
+        return [kept, style];
+    }).filter(([text]) => text.length > 0);
+}
+
+// Greedy packing of every section's tokens into lines of at most `cols`
+// characters, separated by single spaces
+function packLines(sections, cols) {
+    const lines = [];
+    Object.values(sections).forEach((section) => {
+        let line = null;
+        section.forEach((parts) => {
+            const fitted = truncate(parts, cols);
+            if (line && tokenLength(line) + 1 + tokenLength(fitted) <= cols) {
+                line.push([' ', null], ...fitted);
+            } else {
+                line = fitted.slice();
+                lines.push(line);
+            }
+        });
+    });
+    return lines;
+}
+
+function renderLine(parts, cols, ansi) {
+    const padding = ' '.repeat(Math.max(0, cols - tokenLength(parts)));
+    if (!ansi) return parts.map(([text]) => text).join('') + padding;
+    return parts.map(([text, style]) => (style ? `${ANSI[style]}${text}${ANSI.reset}` : text)).join('') + padding;
+}
+
+// Pages of exactly `rows` lines padded to `cols` characters, so a display can
+// overwrite the previous page without clearing it
+function formatText(data, { cols = 20, rows = 4, ansi = false, status, alerts } = {}) {
+    const lines = packLines(summarySections(data, { status, alerts }), cols);
+    const pages = [];
+    for (let i = 0; i < lines.length; i += rows) {
+        const pageLines = lines.slice(i, i + rows);
+        while (pageLines.length < rows) pageLines.push([]);
+        pages.push(pageLines.map((line) => renderLine(line, cols, ansi)).join('\n'));
+    }
+    return pages;
+}
+
+// One line for beacons and bulletins, at most `max` characters. Tokens are
+// added by priority while they fit: stale marker and alert ids, the key
+// indices, the HF bands, then the remaining metrics. Labels are glued to values.
+function formatBeacon(data, { max = APRS_MESSAGE_LENGTH, status = {}, alerts = [] } = {}) {
+    const text = (parts) => parts.map(([segment]) => segment).join('').replace(/ /g, '');
+    const { metrics, bands } = summarySections(data);
+    const key = (parts) => BEACON_FIRST.includes(parts[0][0]);
+    const tokens = [
+        ...(status.stale ? ['STALE'] : []),
+        ...alerts.map((alert) => `!${alert.rule}`),
+        ...metrics.filter(key).map(text),
+        ...bands.map(text),
+        ...metrics.filter((parts) => !key(parts)).map(text),
+    ];
+
+    let line = '';
+    tokens.forEach((next) => {
+        const candidate = line ? `${line} ${next}` : next;
+        if (candidate.length <= max) line = candidate;
+    });
+    return line;
+}
+
+module.exports = {
+    APRS_MESSAGE_LENGTH,
+    CONDITION_LETTERS,
+    summarySections,
+    formatText,
+    formatBeacon,
+};
@@ -0,0 +1,88 @@
+// --- RENDER THEMES ---
+// Resolves the colors a render uses from the render options: the normal (dark),
+// inverted (light) and black & white themes, or the theme of a panel palette.
+
+const palettes = require('./palette');
+
+const THEMES = {
+    normal: {
+        background: '#000000', title: '#cccccc', subtitle: '#aaaaaa', text: '#ffffff', separator: '#555555',
+        good: '#00ff00', green: '#00ff00', fair: '#FFA500', poor: '#ff0000'
+    },
+    invert: {
+        background: '#ffffff', title: '#555', subtitle: '#666', text: '#000000', separator: '#555555',
+        good: '#00ff00', green: '#000000', fair: '#FFA500', poor: '#ff0000'
+    },
+    // Pure Black & White (B/W) theme definition
+    bw: {
+        background: '#ffffff', title: '#000000', subtitle: '#333333', text: '#000000', separator: '#bbbbbb',
+        good: '#000000', green: '#000000', fair: '#000000', poor: '#000000'
+    }
+};
+
+function resolveTheme(options) {
+    const panelPalette = palettes.getPalette(options.palette);
+    const colors = panelPalette ? panelPalette.theme
+        : options.bw_mode === 1 ? THEMES.bw : (options.invert ? THEMES.invert : THEMES.normal);
+
+    // Highlight boxes: top data values use `highlight`, "Good" conditions use
+    // `goodHighlight`, palettes may box poor conditions in `poorHighlight`
+    let highlight, highlightText, goodHighlight;
+    let goodHighlightText = null;
+    if (panelPalette) {
+        highlight = colors.highlight;
+        highlightText = colors.highlightText;
+        goodHighlight = colors.goodHighlight || colors.highlight;
+        goodHighlightText = colors.goodHighlightText || null;
+    } else if (options.bw_mode === 1) {
+        highlight = '#000000';
+        highlightText = '#ffffff';
+        goodHighlight = '#000000';
+    } else {
+        // Gray for mode=0, green for mode=1; text is pure white for mode=0 or the
+        // background color for contrast for mode=1
+        highlight = options.mode === 0 ? '#555555' : colors.green;
+        highlightText = options.mode === 0 ? '#ffffff' : colors.background;
+        goodHighlight = options.mode === 0 ? '#555555' : colors.good;
+    }
+
+    const conditionColor = (condition) => {
+        if (!panelPalette) {
+            if (options.bw_mode === 1) return colors.text; // Text is black in B/W mode
+            if (options.mode === 0) return colors.text;
+        }
+
+        const value = String(condition).toLowerCase();
+        if (value.includes('good')) return colors.good;
+        if (value.includes('mid lat aur')) return colors.good;
+        if (value.includes('fair')) return colors.fair;
+        if (value.includes('poor')) return colors.poor;
+        if (value.includes('closed')) return colors.poor;
+        return colors.text;
+    };
+
+    // { background, color } of the box a condition is drawn on, null for plain text
+    const conditionHighlight = (condition) => {
+        const value = String(condition).toLowerCase();
+        if (value.includes('good')) return { background: goodHighlight, color: goodHighlightText || highlightText };
+        if (colors.poorHighlight && (value.includes('poor') || value.includes('closed'))) {
+            return { background: colors.poorHighlight, color: colors.poorHighlightText };
+        }
+        return null;
+    };
+
+    return {
+        ...colors,
+        highlight,
+        highlightText,
+        goodHighlight,
+        goodHighlightText: goodHighlightText || highlightText,
+        conditionColor,
+        conditionHighlight,
+    };
+}
+
+module.exports = {
+    THEMES,
+    resolveTheme,
+};
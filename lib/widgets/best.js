@@ -0,0 +1,42 @@
+// --- BEST BANDS WIDGET ---
+// "Best now: 20m / 17m" from the band scores at the station, with the main
+// reason underneath (e.g. "K=5 storm, low bands degraded"). `align: "right"`
+// sets it against the right edge, `separator: true` draws the line along the
+// bottom like the header's when it shares the header row.
+
+const { fitFont, drawText, drawHighlightedText, drawSeparator, rowCenters } = require('../draw');
+const { scoreBands } = require('../bands');
+
+function draw({ context: ctx, box, data, theme, locale, fonts, scale, config, options }) {
+    const { best, reason } = scoreBands(data, { qth: options.qth, locale });
+    const label = `${config.title || locale.t('best.title')} `;
+    const bands = best.length > 0 ? best.join(' / ') : locale.t('best.none');
+    const right = config.align === 'right';
+    const separatorSpace = config.separator ? Math.round(10 * scale) : 0;
+    const contentHeight = box.height - separatorSpace;
+    const [bestY, reasonY] = rowCenters(box.y, contentHeight, 2);
+
+    // The bands sit on a highlight box, leave room for its padding
+    const size = fitFont(ctx, Math.min(fonts.title, contentHeight * 0.45), box.width - Math.round(fonts.title * 0.4),
+        () => ctx.measureText(label + bands).width);
+    const labelWidth = ctx.measureText(label).width;
+    const bandsWidth = ctx.measureText(bands).width;
+    const padding = Math.max(2, Math.round(size * 0.18));
+    const x = right ? box.x + box.width - padding - labelWidth - bandsWidth : box.x;
+    drawText(ctx, label, x, bestY, theme.subtitle);
+    if (best.length > 0) {
+        drawHighlightedText(ctx, bands, x + labelWidth, bestY, size, theme.goodHighlight, theme.goodHighlightText);
+    } else {
+        drawText(ctx, bands, x + labelWidth, bestY, theme.conditionColor('Poor'));
+    }
+
+    fitFont(ctx, Math.min(fonts.small, contentHeight * 0.4), box.width, () => ctx.measureText(reason).width);
+    drawText(ctx, reason, right ? box.x + box.width : box.x, reasonY, theme.text, right ? 'right' : 'left');
+
+    if (config.separator) {
+        const lineY = box.y + box.height - Math.max(1, Math.round(scale));
+        drawSeparator(ctx, box.x, box.x + box.width, lineY, theme.separator, scale);
+    }
+}
+
+module.exports = { draw };
@@ -0,0 +1,21 @@
+// --- TREND CHART WIDGET ---
+// History chart of one field: `field` (kindex by default, drawn as storm-level
+// bars) over the last `hours` (24 by default).
+
+const { drawChart } = require('../charts');
+
+function draw({ context: ctx, box, history, theme, locale, fonts, scale, config }) {
+    drawChart(ctx, {
+        box,
+        history,
+        field: config.field || 'kindex',
+        hours: config.hours || 24,
+        title: config.title,
+        theme,
+        locale,
+        fonts,
+        scale,
+    });
+}
+
+module.exports = { draw };
@@ -0,0 +1,71 @@
+// --- STATION CLOCK WIDGET ---
+// Local time and UTC, the next sunrise and sunset at the station and the
+// current or next greyline window, all in the panel's timezone and language. The time rows
+// are reported as volatile. Without a station location only the clocks show.
+
+const { fitFont, drawText, drawHighlightedText } = require('../draw');
+const { sunTimes } = require('../qth');
+
+function formatTime(date, timeZone, tag, zoneName = false) {
+    if (!date) return '--:--';
+    return date.toLocaleTimeString(tag, {
+        timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZoneName: zoneName ? 'short' : undefined,
+    });
+}
+
+function draw({ context: ctx, box, theme, locale, fonts, scale, config, options, markVolatile = () => {} }) {
+    const now = new Date();
+    const timeZone = options.timezone || 'UTC';
+    const time = (date, zoneName) => formatTime(date, timeZone, locale.tag, zoneName);
+    const qth = options.qth;
+    const title = config.title === false ? null : (config.title || (qth ? locale.t('clock.qthTitle', { name: qth.name }) : locale.t('clock.title')));
+
+    const rows = [
+        { label: locale.t('clock.local'), value: time(now, true), volatile: true },
+        { label: locale.t('clock.utc'), value: formatTime(now, 'UTC', locale.tag), volatile: true },
+    ];
+    if (qth) {
+        const sun = sunTimes(now, qth);
+        const { greyline } = sun;
+        rows.push(
+            { label: locale.t('clock.sunrise'), value: time(sun.sunrise) },
+            { label: locale.t('clock.sunset'), value: time(sun.sunset) },
+            {
+                label: locale.t('clock.greyline'),
+                value: greyline ? `${greyline.active ? locale.t('clock.now') : time(greyline.start)}-${time(greyline.end)}` : locale.t('clock.none'),
+                highlight: Boolean(greyline && greyline.active),
+            },
+        );
+    } else {
+        rows.push({ label: locale.t('clock.qth'), value: locale.t('clock.notSet') });
+    }
+
+    const rowCount = (title ? 1 : 0) + rows.length;
+    const rowHeight = Math.min(box.height / rowCount, fonts.normal * 1.6);
+    let y = box.y + rowHeight / 2;
+
+    if (title) {
+        fitFont(ctx, Math.min(fonts.title, rowHeight * 0.8), box.width, () => ctx.measureText(title).width);
+        drawText(ctx, title, box.x, y, theme.title);
+        y += rowHeight;
+    }
+
+    const gap = Math.round(8 * scale);
+    const labelWidth = () => Math.max(...rows.map((row) => ctx.measureText(row.label).width));
+    const size = fitFont(ctx, Math.min(fonts.normal, rowHeight * 0.75), box.width,
+        () => labelWidth() + gap + Math.max(...rows.map((row) => ctx.measureText(row.value).width)));
+    const valueX = box.x + labelWidth() + gap;
+
+    rows.forEach((row) => {
+        drawText(ctx, row.label, box.x, y, theme.subtitle);
+        if (row.highlight) {
+            drawHighlightedText(ctx, row.value, valueX, y, size, theme.highlight, theme.highlightText);
+        } else {
+            drawText(ctx, row.value, valueX, y, theme.text);
+        }
+        if (row.volatile) markVolatile({ x: valueX, y: y - rowHeight / 2, width: box.x + box.width - valueX, height: rowHeight });
+        y += rowHeight;
+    });
+}
+
+module.exports = { draw };
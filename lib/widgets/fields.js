@@ -0,0 +1,45 @@
+// --- DISPLAY FIELDS ---
+// Labels and formatting for the scalar values of the solar data, shared by the
+// widgets that show label/value pairs. With a locale (see lib/i18n) labels and
+// worded values come from its bundle where it has them.
+
+const FIELDS = {
+    solarflux: { label: 'SFI:' },
+    sunspots: { label: 'Sunspots:' },
+    signalnoise: { label: 'S/N Ratio:' },
+    kindex: { label: 'K Index:' },
+    kindexnt: { label: 'K Index NT:' },
+    solarwind: { label: 'Solar Wind:', format: (value) => `${value} km/s` },
+    xray: { label: 'X-Ray:' },
+    aurora: { label: 'Aurora:' },
+    protonflux: { label: 'Proton Flux:' },
+    heliumline: { label: 'Helium Line:' },
+    magneticfield: { label: 'Mag Fld:' },
+    geomagfield: { label: 'Geo Fld:' },
+    latdegree: { label: 'Lat Deg:' },
+    muf: { label: 'MUF:' },
+    muffactor: { label: 'MUF Fact:' },
+    fof2: { label: 'foF2:' },
+    normalization: { label: 'Norm:' },
+    aindex: { label: 'A Index:' },
+    electonflux: { label: 'Elec Flux:' },
+};
+
+function fieldLabel(key, locale = null) {
+    const translated = locale && locale.field(key);
+    if (translated) return translated;
+    return FIELDS[key] ? FIELDS[key].label : `${key}:`;
+}
+
+function fieldValue(data, key, locale = null) {
+    const value = data[key] === undefined || data[key] === null ? 'N/A' : data[key];
+    const format = FIELDS[key] && FIELDS[key].format;
+    const text = String(format && value !== 'N/A' ? format(value) : value).trim();
+    return locale ? locale.condition(text) : text;
+}
+
+module.exports = {
+    FIELDS,
+    fieldLabel,
+    fieldValue,
+};
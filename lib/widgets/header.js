@@ -0,0 +1,48 @@
+// --- HEADER WIDGET ---
+// Title, current time (in the device's or station's timezone, UTC by default,
+// formatted for the panel's language) and a separator line along the bottom of the box.
+// Falls back to a single line (title left, time right) when the box is short.
+// The clock's area is reported as volatile so change detection can ignore it.
+
+const { fitFont, drawText, drawSeparator, rowCenters } = require('../draw');
+
+function formatClock(date, compact, timeZone, tag) {
+    if (compact) {
+        return date.toLocaleString(tag, { timeZone, month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZoneName: 'short' });
+    }
+    return date.toLocaleString(tag, { timeZone, month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short' });
+}
+
+function draw({ context: ctx, box, theme, locale, fonts, scale, config, options, markVolatile = () => {} }) {
+    const title = config.title || locale.t('header.title');
+    const separator = config.separator !== false;
+    const separatorSpace = separator ? Math.round(10 * scale) : 0;
+    const contentHeight = box.height - separatorSpace;
+    const compact = config.compact !== undefined ? config.compact : contentHeight < (fonts.title + fonts.small) * 1.2;
+    const clock = formatClock(new Date(), compact, options.timezone || 'UTC', locale.tag);
+
+    if (compact) {
+        const [y] = rowCenters(box.y, contentHeight, 1);
+        const gap = fonts.small;
+        fitFont(ctx, Math.min(fonts.title, contentHeight * 0.85), box.width - gap,
+            () => ctx.measureText(title).width + ctx.measureText(clock).width);
+        drawText(ctx, title, box.x, y, theme.title);
+        drawText(ctx, clock, box.x + box.width, y, theme.subtitle, 'right');
+        const clockWidth = Math.ceil(ctx.measureText(clock).width);
+        markVolatile({ x: box.x + box.width - clockWidth, y: box.y, width: clockWidth, height: contentHeight });
+    } else {
+        const [titleY, clockY] = rowCenters(box.y, contentHeight, 2);
+        fitFont(ctx, Math.min(fonts.title, contentHeight * 0.45), box.width, () => ctx.measureText(title).width);
+        drawText(ctx, title, box.x, titleY, theme.title);
+        fitFont(ctx, Math.min(fonts.small, contentHeight * 0.45), box.width, () => ctx.measureText(clock).width);
+        drawText(ctx, clock, box.x, clockY, theme.subtitle);
+        markVolatile({ x: box.x, y: (titleY + clockY) / 2, width: box.width, height: contentHeight / 2 });
+    }
+
+    if (separator) {
+        const lineY = box.y + box.height - Math.max(1, Math.round(scale));
+        drawSeparator(ctx, box.x, box.x + box.width, lineY, theme.separator, scale);
+    }
+}
+
+module.exports = { draw };
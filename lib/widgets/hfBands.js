@@ -0,0 +1,79 @@
+// --- HF BAND CONDITIONS WIDGET ---
+// Band table with one column per time of day from `calculatedconditions`.
+// "Good" conditions (and poor ones on bwy panels) are drawn on a highlight box,
+// the rest in condition colors, both worded in the panel's language.
+// With a station location the column that applies there now (day or night) is
+// framed.
+
+const { fitFont, drawText, drawHighlightedText } = require('../draw');
+const { sunPhase } = require('../qth');
+
+// 'day' or 'night' at the station, null without one
+function activeTime(options) {
+    if (!options || !options.qth) return null;
+    return sunPhase(new Date(), options.qth).daytime ? 'day' : 'night';
+}
+
+function draw({ context: ctx, box, data, theme, locale, fonts, scale, config, options }) {
+    const title = config.title === false ? null : (config.title || locale.t('hfBands.title'));
+    const times = config.columns || ['day', 'night'];
+    const columnTitle = (time) => (['day', 'night'].includes(time) ? locale.t(`hfBands.${time}`) : time);
+    const bandLabel = locale.t('hfBands.band');
+    const bands = Object.entries(data.calculatedconditions || {});
+
+    const rowCount = (title ? 1 : 0) + 1 + bands.length;
+    const rowHeight = Math.min(box.height / rowCount, fonts.normal * 1.6);
+    let y = box.y + rowHeight / 2;
+
+    if (title) {
+        fitFont(ctx, Math.min(fonts.title, rowHeight * 0.8), box.width, () => ctx.measureText(title).width);
+        drawText(ctx, title, box.x, y, theme.title);
+        y += rowHeight;
+    }
+
+    const labels = [bandLabel, ...bands.map(([band]) => `${band}:`)];
+    const cells = [...times.map(columnTitle),
+        ...bands.flatMap(([, value]) => times.map((time) => locale.condition(value[time] || 'N/A')))];
+
+    // Label column plus one column per time, each wide enough for its widest entry
+    const gap = Math.round(10 * scale);
+    const measureColumns = () => {
+        const labelWidth = Math.max(...labels.map((text) => ctx.measureText(text).width));
+        const cellWidth = Math.max(...cells.map((text) => ctx.measureText(text).width));
+        return { labelWidth, cellWidth, total: labelWidth + times.length * (cellWidth + gap) };
+    };
+    const size = fitFont(ctx, Math.min(fonts.normal, rowHeight * 0.75), box.width, () => measureColumns().total);
+    const { labelWidth, cellWidth } = measureColumns();
+    const columnCenter = (i) => box.x + labelWidth + gap + i * (cellWidth + gap) + cellWidth / 2;
+
+    const active = times.indexOf(activeTime(options));
+    if (active >= 0) {
+        const lineWidth = Math.max(1, Math.round(2 * scale));
+        ctx.strokeStyle = theme.text;
+        ctx.lineWidth = lineWidth;
+        ctx.strokeRect(columnCenter(active) - (cellWidth + gap) / 2 + lineWidth / 2, y - rowHeight / 2 + lineWidth / 2,
+            cellWidth + gap - lineWidth, rowHeight * (bands.length + 1) - lineWidth);
+    }
+
+    drawText(ctx, bandLabel, box.x, y, theme.subtitle);
+    times.forEach((time, i) => drawText(ctx, columnTitle(time), columnCenter(i), y, theme.subtitle, 'center'));
+    y += rowHeight;
+
+    bands.forEach(([band, value]) => {
+        drawText(ctx, `${band}:`, box.x, y, theme.subtitle);
+        times.forEach((time, i) => {
+            // Colors follow the upstream wording, the text is translated
+            const condition = String(value[time] || 'N/A').trim();
+            const text = locale.condition(condition);
+            const highlight = theme.conditionHighlight(condition);
+            if (highlight) {
+                drawHighlightedText(ctx, text, columnCenter(i), y, size, highlight.background, highlight.color, 'center');
+            } else {
+                drawText(ctx, text, columnCenter(i), y, theme.conditionColor(condition), 'center');
+            }
+        });
+        y += rowHeight;
+    });
+}
+
+module.exports = { draw };
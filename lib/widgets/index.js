@@ -0,0 +1,17 @@
+// --- WIDGET REGISTRY ---
+// Widget types that layouts can place. Each widget exports draw(frame), where
+// frame holds the canvas context, the widget's box, the solar data, the history
+// store, the theme, the scaled base font sizes and the widget's `config` from
+// the layout file.
+
+module.exports = {
+    header: require('./header'),
+    metrics: require('./metrics'),
+    hfBands: require('./hfBands'),
+    vhf: require('./vhf'),
+    muf: require('./muf'),
+    chart: require('./chart'),
+    clock: require('./clock'),
+    map: require('./map'),
+    best: require('./best'),
+};
@@ -0,0 +1,22 @@
+// --- GREYLINE MAP WIDGET ---
+// World map with the night side, greyline and auroral ovals shaded and the
+// station's QTH marked, see lib/map. `latitudes` ([south, north]) crops the
+// map, `caption: false` leaves out the line underneath.
+
+const { drawMap } = require('../map');
+
+function draw({ context: ctx, box, data, theme, locale, fonts, scale, config, options }) {
+    drawMap(ctx, {
+        box,
+        data,
+        qth: options.qth,
+        theme,
+        locale,
+        fonts,
+        scale,
+        latitudes: config.latitudes,
+        caption: config.caption !== false,
+    });
+}
+
+module.exports = { draw };
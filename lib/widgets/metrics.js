@@ -0,0 +1,91 @@
+// --- TOP METRICS WIDGET ---
+// Table of label/value pairs laid out in columns, left to right then top to
+// bottom. Highlighted fields get a filled box behind the value, `sparklines`
+// fields a trend line over the last `sparklineHours` in the rest of the cell.
+
+const { fitFont, drawText, drawHighlightedText, drawSeparator, rowCenters } = require('../draw');
+const { fieldLabel, fieldValue } = require('./fields');
+const { queryPoints, drawSparkline } = require('../charts');
+
+const DEFAULT_FIELDS = [
+    'solarflux', 'sunspots', 'signalnoise',
+    'kindex', 'solarwind', 'xray',
+    'aurora', 'protonflux', 'heliumline',
+    'magneticfield', 'geomagfield', 'latdegree',
+];
+const DEFAULT_HIGHLIGHT = ['solarflux', 'sunspots', 'signalnoise'];
+
+function draw({ context: ctx, box, data, history, theme, locale, fonts, scale, config }) {
+    const fields = config.fields || DEFAULT_FIELDS;
+    const highlight = config.highlight || DEFAULT_HIGHLIGHT;
+    const sparklines = config.sparklines || [];
+    const sparklineHours = config.sparklineHours || 24;
+    const columnCount = config.columns || 3;
+    const weights = config.columnWeights || Array(columnCount).fill(1);
+    const separator = config.separator !== false;
+
+    const rowCount = Math.ceil(fields.length / columnCount);
+    const separatorSpace = separator ? Math.round(10 * scale) : 0;
+    const contentHeight = box.height - separatorSpace;
+    const rows = rowCenters(box.y, contentHeight, rowCount);
+    const rowHeight = contentHeight / Math.max(1, rowCount);
+
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const columnX = [];
+    let x = box.x;
+    weights.forEach((weight) => {
+        columnX.push(x);
+        x += box.width * weight / totalWeight;
+    });
+    const columnWidth = (column) => box.width * weights[column] / totalWeight;
+
+    const cells = fields.map((key, i) => ({
+        key,
+        label: fieldLabel(key, locale),
+        value: fieldValue(data, key, locale),
+        column: i % columnCount,
+        row: Math.floor(i / columnCount),
+    }));
+
+    // One font size for the whole table so the columns line up: measured as the
+    // fraction of its column the widest cell needs, which must not exceed 1
+    const gap = Math.round(8 * scale);
+    const size = fitFont(ctx, Math.min(fonts.normal, rowHeight * 0.8), 1, () => Math.max(0, ...cells.map((cell) =>
+        (ctx.measureText(`${cell.label} ${cell.value}`).width + gap) / columnWidth(cell.column))));
+
+    cells.forEach((cell) => {
+        const y = rows[cell.row];
+        const labelX = columnX[cell.column];
+
+        // Even at the smallest font a cell must not run into its neighbour
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(labelX, y - rowHeight / 2, columnWidth(cell.column) - gap / 2, rowHeight);
+        ctx.clip();
+        drawText(ctx, cell.label, labelX, y, theme.subtitle);
+        const valueX = labelX + ctx.measureText(`${cell.label} `).width;
+        if (highlight.includes(cell.key)) {
+            drawHighlightedText(ctx, cell.value, valueX, y, size, theme.highlight, theme.highlightText);
+        } else {
+            drawText(ctx, cell.value, valueX, y, theme.text);
+        }
+
+        if (sparklines.includes(cell.key)) {
+            const sparkX = valueX + ctx.measureText(cell.value).width + gap * 1.5;
+            const sparkWidth = labelX + columnWidth(cell.column) - gap - sparkX;
+            if (sparkWidth >= size * 1.5) {
+                const sparkHeight = size * 0.8;
+                drawSparkline(ctx, queryPoints(history, cell.key, sparklineHours),
+                    { x: sparkX, y: y - sparkHeight / 2, width: sparkWidth, height: sparkHeight }, theme.subtitle, scale);
+            }
+        }
+        ctx.restore();
+    });
+
+    if (separator) {
+        const lineY = box.y + box.height - Math.max(1, Math.round(scale));
+        drawSeparator(ctx, box.x, box.x + box.width, lineY, theme.separator, scale);
+    }
+}
+
+module.exports = { draw };
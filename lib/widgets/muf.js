@@ -0,0 +1,29 @@
+// --- MUF COLUMN WIDGET ---
+// Vertical list of label/value pairs, by default MUF, normalization, A index
+// and electron flux. `offsetRows` leaves empty rows on top so the list lines up
+// with a neighbouring widget that has a title row.
+
+const { fitFont, drawText } = require('../draw');
+const { fieldLabel, fieldValue } = require('./fields');
+
+const DEFAULT_FIELDS = ['muf', 'normalization', 'aindex', 'electonflux'];
+
+function draw({ context: ctx, box, data, theme, locale, fonts, config }) {
+    const fields = config.fields || DEFAULT_FIELDS;
+    const offsetRows = config.offsetRows || 0;
+    const rowCount = config.rowCount || offsetRows + fields.length;
+    const rowHeight = Math.min(box.height / rowCount, fonts.normal * 1.6);
+
+    const lines = fields.map((key) => ({ label: fieldLabel(key, locale), value: fieldValue(data, key, locale) }));
+    fitFont(ctx, Math.min(fonts.normal, rowHeight * 0.75), box.width,
+        () => Math.max(...lines.map((line) => ctx.measureText(`${line.label} ${line.value}`).width)));
+
+    let y = box.y + rowHeight * (offsetRows + 0.5);
+    lines.forEach((line) => {
+        drawText(ctx, line.label, box.x, y, theme.subtitle);
+        drawText(ctx, line.value, box.x + ctx.measureText(`${line.label} `).width, y, theme.text);
+        y += rowHeight;
+    });
+}
+
+module.exports = { draw };
@@ -0,0 +1,47 @@
+// --- VHF / EME CONDITIONS WIDGET ---
+// Aurora and E-skip states from `calculatedvhfconditions`. Rows from the
+// layout config keep their `label`, the default rows are translated.
+
+const { fitFont, drawText, drawHighlightedText } = require('../draw');
+
+const DEFAULT_ROWS = [
+    { key: 'vhf.aurora', phenomenon: 'vhf-aurora', location: 'northern_hemi' },
+    { key: 'vhf.es6mEurope', phenomenon: 'E-Skip', location: 'europe_6m' },
+    { key: 'vhf.es4mEurope', phenomenon: 'E-Skip', location: 'europe_4m' },
+    { key: 'vhf.es2mEurope', phenomenon: 'E-Skip', location: 'europe' },
+    { key: 'vhf.es2mNorthAmerica', phenomenon: 'E-Skip', location: 'north_america' },
+];
+
+function draw({ context: ctx, box, data, theme, locale, fonts, scale, config }) {
+    const title = config.title === false ? null : (config.title || locale.t('vhf.title'));
+    const rows = (config.rows || DEFAULT_ROWS).map((row) => {
+        const value = String(data.calculatedvhfconditions?.[row.phenomenon]?.[row.location] || 'N/A').trim();
+        return { label: row.label || locale.t(row.key), value, text: locale.condition(value) };
+    });
+
+    const rowCount = (title ? 1 : 0) + rows.length;
+    const rowHeight = Math.min(box.height / rowCount, fonts.normal * 1.6);
+    let y = box.y + rowHeight / 2;
+
+    if (title) {
+        fitFont(ctx, Math.min(fonts.title, rowHeight * 0.8), box.width, () => ctx.measureText(title).width);
+        drawText(ctx, title, box.x, y, theme.title);
+        y += rowHeight;
+    }
+
+    const gap = Math.round(8 * scale);
+    const measure = () => Math.max(...rows.map((row) => ctx.measureText(row.label).width))
+        + gap + Math.max(...rows.map((row) => ctx.measureText(row.text).width));
+    const size = fitFont(ctx, Math.min(fonts.normal, rowHeight * 0.75), box.width, measure);
+    const valueX = box.x + Math.max(...rows.map((row) => ctx.measureText(row.label).width)) + gap;
+
+    rows.forEach((row) => {
+        drawText(ctx, row.label, box.x, y, theme.subtitle);
+        const highlight = theme.conditionHighlight(row.value);
+        if (highlight) drawHighlightedText(ctx, row.text, valueX, y, size, highlight.background, highlight.color);
+        else drawText(ctx, row.text, valueX, y, theme.conditionColor(row.value));
+        y += rowHeight;
+    });
+}
+
+module.exports = { draw };
@@ -1,524 +1,422 @@
 const express = require('express');
-const xml2js = require('xml2js');
-const { createCanvas, loadImage, registerFont } = require('canvas');
-const fetch = require('node-fetch');
+const palettes = require('./lib/palette');
+const { describeRenderParameters, RenderOptionsError } = require('./lib/options');
+const { renderSolarCanvas, renderChartCanvas, renderMapCanvas, renderStatusCanvas } = require('./lib/render');
+const { resolveRenderOptions, renderPanelIndices, encodePanelPng, encodedPixels, encodePanel } = require('./lib/pipeline');
+const { describeError } = require('./lib/screens');
+const { frameHash, createFrameStore, changedRegions } = require('./lib/changes');
+const { listLayouts } = require('./lib/layout');
+const { FONT_FAMILY, registerFonts } = require('./lib/draw');
+const config = require('./lib/config');
+const { createHistoryStore, toCsv } = require('./lib/history');
+const { createProviderChain } = require('./lib/providers');
+const { createRefreshScheduler } = require('./lib/scheduler');
+const { createDeviceRegistry, parseTelemetry } = require('./lib/devices');
+const { devicesPage, livePanelPage, configurePage } = require('./lib/pages');
+const { createAlertEngine } = require('./lib/alerts');
+const { createMqttPublisher } = require('./lib/mqtt');
+const { createPushScheduler } = require('./lib/push');
+const { parseQth } = require('./lib/qth');
+const { scoreBands } = require('./lib/bands');
+const { listLanguages } = require('./lib/i18n');
+const { formatText, formatBeacon, APRS_MESSAGE_LENGTH } = require('./lib/text');
+const { createMetricsRegistry, solarGauges, NUMERIC_FIELDS, RENDER_BUCKETS, FETCH_BUCKETS } = require('./lib/metrics');
 const path = require('path');
 
 const app = express();
 const port = 3000;
-const xmlParser = new xml2js.Parser();
-
-// --- GLOBAL CONSTANT FIX ---
-const FONT_FAMILY = 'Ubuntu Mono';
-// ---------------------------
-
-// --- REGISTER CUSTOM FONT ---
-// Ensure you have an 'assets' folder in your project root with 'UbuntuMono-Bold.ttf'
-try {
-    const fontPath = path.join(__dirname, 'assets', 'UbuntuMono-Bold.ttf');
-    registerFont(fontPath, { family: FONT_FAMILY });
-    console.log(`Registered font: ${FONT_FAMILY}`);
-} catch (error) {
-    // Fallback to a system monospace font if registration fails
-    console.warn("Could not register Ubuntu Mono font. Falling back to monospace.");
-    console.error(error.message);
-}
-// ----------------------------
-
-const defaultSettings = {
-    mode: 1,
-    invert: 0,
-    width: 800,
-    height: 480,
-    fontSizeSmall: 20,
-    fontSizeNormal: 22,
-    fontSizeLarge: 22,
-    LINE_SPACING_DEFAULT: 30,
-    bw_mode: 0, // NEW: Black and White mode flag
-};
-
-const settings = { ...defaultSettings };
 
-app.use((req, res, next) => {
-    const { mode, invert, width, height, bw_mode } = req.query; // Capture bw_mode
+// Prometheus metrics served at /metrics
+const metrics = createMetricsRegistry();
+const metric = {
+    fetches: metrics.counter('solar_upstream_fetches_total', 'Upstream fetch attempts by provider'),
+    fetchFailures: metrics.counter('solar_upstream_fetch_failures_total', 'Failed upstream fetch attempts by provider and error kind'),
+    fetchDuration: metrics.histogram('solar_upstream_fetch_duration_seconds', 'Duration of upstream fetch attempts by provider', FETCH_BUCKETS),
+    dataAge: metrics.gauge('solar_data_age_seconds', 'Age of the served data (the refresh cache)'),
+    dataStale: metrics.gauge('solar_data_stale', '1 when the served data is older than refresh.staleAfter'),
+    refreshFailures: metrics.gauge('solar_refresh_consecutive_failures', 'Failed refreshes since the last successful one'),
+    renders: metrics.counter('solar_renders_total', 'Rendered responses by endpoint, output format and HTTP status'),
+    renderDuration: metrics.histogram('solar_render_duration_seconds', 'Time to render and encode a response by endpoint and output format', RENDER_BUCKETS),
+    alertsActive: metrics.gauge('solar_alerts_active', 'Active alerts'),
+    pushes: metrics.counter('solar_pushes_total', 'Images rendered for push targets by target and result (pushed, unchanged, failed)'),
+    fields: Object.fromEntries(NUMERIC_FIELDS.map((field) => [field, metrics.gauge(`solar_${field}`, `${field} of the latest data`)])),
+    xrayFlux: metrics.gauge('solar_xray_flux_watts_per_square_meter', 'X-ray flux from the reported flare class'),
+    band: metrics.gauge('solar_band_condition', 'HF band condition: 0 poor, 1 fair, 2 good'),
+    vhf: metrics.gauge('solar_vhf_open', 'VHF phenomenon: 1 open, 0 band closed'),
+};
 
-    // Set default values if not provided
-    settings.mode = mode === '0' || mode === '1' ? parseInt(mode) : defaultSettings.mode;
-    settings.invert = invert === '0' || invert === '1' ? parseInt(invert) : defaultSettings.invert;
-    settings.width = parseInt(width ?? defaultSettings.width);
-    settings.height = parseInt(height ?? defaultSettings.height);
-    // NEW: Parse bw_mode
-    settings.bw_mode = bw_mode === '1' ? 1 : defaultSettings.bw_mode;
+const providers = createProviderChain(config.providers, {
+    onAttempt: ({ provider, duration, error }) => {
+        metric.fetches.inc({ provider });
+        metric.fetchDuration.observe({ provider }, duration / 1000);
+        if (error) metric.fetchFailures.inc({ provider, kind: error.kind || 'unreachable' });
+    },
+});
 
-    next();
+const history = createHistoryStore({
+    file: path.join(config.dataDir, 'history.jsonl'),
+    retentionDays: config.history.retentionDays,
+    maxEntries: config.history.maxEntries,
 });
+history.load();
 
-const cacheInterval = 5 * 60 * 1000;
-let lastFetch = 0;
-let lastData = null;
+const alerts = createAlertEngine({
+    ...config.alerts,
+    file: path.join(config.dataDir, 'alerts.json'),
+});
+alerts.load();
 
-async function getSolarXml() {
-    const xmlUrl = 'https://www.hamqsl.com/solarxml.php';
+// Fonts for scripts Ubuntu Mono lacks, before anything is drawn
+registerFonts(config.fonts);
 
-    if (lastData == null || Date.now() - lastFetch > cacheInterval) {
-        try {
-            const response = await fetch(xmlUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const xmlData = await response.text();
-            console.log(`Refreshed data from ${xmlUrl} `);
-            lastData = xmlData;
-            lastFetch = Date.now();
-        } catch(error) {
-            console.error('Error fetching XML:', error);
-            if (lastData === null) {
-                throw error;
-            }
-            console.log('Using stale data due to fetch error.');
-        }
-    }
+// Station location, the default for every panel
+const station = config.qth ? parseQth(config.qth) : null;
+if (station) console.log(`Station ${station.name} at ${station.grid} (${station.lat.toFixed(2)}, ${station.lon.toFixed(2)}), ${station.timezone}`);
 
-    return lastData;
-}
+const devices = createDeviceRegistry({
+    profiles: config.devices,
+    file: path.join(config.dataDir, 'devices.json'),
+    defaults: station ? { timezone: station.timezone } : {},
+});
+devices.load();
+
+// Retained MQTT topics of every refresh, only with a broker configured
+const mqtt = config.mqtt.url ? createMqttPublisher(config.mqtt) : null;
+if (mqtt) mqtt.start();
+
+// Images delivered to displays that can't poll, after every refresh
+const pusher = createPushScheduler({
+    targets: config.push.targets,
+    devices,
+    station,
+    scpRoot: config.push.scpRoot || path.join(config.dataDir, 'scp'),
+    sources: () => ({ history, status: scheduler.status(), alerts: alerts.active() }),
+    onPush: ({ target, result }) => metric.pushes.inc({ target, result }),
+});
 
-async function parseSolarXml() {
-    try {        
-        const xmlData = await getSolarXml();
-
-        const result = await new Promise((resolve, reject) => {
-            xmlParser.parseString(xmlData, (err, parsedData) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(parsedData);
-                }
-            });
-        });
+// Recently served panel frames, for ETags and /solar/changes
+const frames = createFrameStore();
 
-        const solardata = result.solar.solardata[0];
-        
-        const safeParse = (arr, type = 'string') => {
-            if (!arr || arr.length === 0) return 'N/A';
-            const val = arr[0];
-            if (type === 'int') return parseInt(val, 10);
-            if (type === 'float') return parseFloat(val);
-            return val;
-        };
-
-        const parsedJson = {
-            source: safeParse(solardata.source),
-            updated: safeParse(solardata.updated),
-            solarflux: safeParse(solardata.solarflux, 'int'),
-            aindex: safeParse(solardata.aindex, 'int'),
-            kindex: safeParse(solardata.kindex, 'int'),
-            kindexnt: safeParse(solardata.kindexnt),
-            xray: safeParse(solardata.xray),
-            sunspots: safeParse(solardata.sunspots, 'int'),
-            heliumline: safeParse(solardata.heliumline, 'float'),
-            protonflux: safeParse(solardata.protonflux, 'int'),
-            electonflux: safeParse(solardata.electonflux, 'int'),
-            aurora: safeParse(solardata.aurora, 'int'),
-            normalization: safeParse(solardata.normalization, 'float'),
-            latdegree: safeParse(solardata.latdegree, 'float'),
-            solarwind: safeParse(solardata.solarwind, 'float'),
-            magneticfield: safeParse(solardata.magneticfield, 'float'),
-            geomagfield: safeParse(solardata.geomagfield),
-            signalnoise: safeParse(solardata.signalnoise),
-            fof2: safeParse(solardata.fof2),
-            muf: safeParse(solardata.muf),
-            muffactor: safeParse(solardata.muffactor),
-            calculatedconditions: solardata.calculatedconditions?.[0]?.band?.reduce(
-                (acc, { _, $: { name, time } }) => {
-                    acc[name] = acc[name] || {};
-                    acc[name][time] = _;
-                    return acc;
-                    }, {}
-                ) || {},
-           calculatedvhfconditions: solardata.calculatedvhfconditions?.[0]?.phenomenon?.reduce(
-                (acc, { _, $: { name, location } }) => {
-                    acc[name] = acc[name] || {};
-                    acc[name][location] = _;
-                    return acc;
-                }, {}
-           ) || {},
-        };
-        return parsedJson;
+// Parse and validate render options into req.renderOptions, answering 400 with
+// the accepted parameters when a value is invalid. The station's location and
+// timezone apply unless the request gives a grid or `extra` a timezone.
+function applyRenderOptions(req, res, next, query, extra = {}) {
+    try {
+        req.renderOptions = resolveRenderOptions(query, { station, extra });
+        next();
     } catch (error) {
-        console.error('Error parsing XML:', error);
-        throw error;
+        if (!(error instanceof RenderOptionsError)) return next(error);
+        res.status(error.status).json({
+            error: 'Invalid render options',
+            details: error.errors,
+            parameters: describeRenderParameters(),
+        });
     }
 }
 
+function withRenderOptions(req, res, next) {
+    applyRenderOptions(req, res, next, req.query);
+}
 
-async function renderSolarCanvas(data) {
-    const canvas = createCanvas(settings.width, settings.height);
-    const context = canvas.getContext('2d');
-    
-    // Define colors
-    const theme = {
-        normal: {
-            background: '#000000', title: '#cccccc', subtitle: '#aaaaaa', text: '#ffffff', separator: '#555555',
-            good: '#00ff00', green: '#00ff00', fair: '#FFA500', poor: '#ff0000'
-        },
-        invert: {
-            background: '#ffffff', title: '#555', subtitle: '#666', text: '#000000', separator: '#555555',
-            good: '#00ff00', green: '#000000', fair: '#FFA500', poor: '#ff0000'
-        },
-        // NEW: Pure Black & White (B/W) theme definition
-        bw: {
-            background: '#ffffff', title: '#000000', subtitle: '#333333', text: '#000000', separator: '#bbbbbb',
-            good: '#000000', green: '#000000', fair: '#000000', poor: '#000000'
-        }        
-    };
-
-    // Choose the color scheme based on settings
-    const colors = settings.bw_mode === 1 ? theme.bw : (settings.invert ? theme.invert : theme.normal);
-    
-    const SCALE_FACTOR = settings.height / defaultSettings.height;
-    
-    settings.fontSizeSmall = Math.round(defaultSettings.fontSizeSmall * SCALE_FACTOR);
-    settings.fontSizeNormal = Math.round(defaultSettings.fontSizeNormal * SCALE_FACTOR);
-    settings.fontSizeLarge = Math.round(defaultSettings.fontSizeLarge * SCALE_FACTOR);
-    
-    const LINE_SPACING = Math.round(defaultSettings.LINE_SPACING_DEFAULT * SCALE_FACTOR);
-
-    // --- Helper Functions for Drawing ---
-    
-    function drawSegment(ctx, text, color, x, y) {
-        ctx.fillStyle = color;
-        ctx.fillText(text, Math.round(x), Math.round(y));
-        const width = ctx.measureText(text).width;
-        return x + width;
+// Render options from the profile of device :id (query parameters override
+// them), recording the request and its battery/rssi telemetry
+function withDevice(req, res, next) {
+    const device = devices.get(req.params.id);
+    if (!device) {
+        return res.status(404).json({ error: `Unknown device '${req.params.id}'`, devices: devices.list().map((d) => d.id) });
     }
+    devices.report(device.id, {
+        telemetry: parseTelemetry(req.query),
+        endpoint: path.basename(req.path),
+        address: req.ip,
+    });
+    req.device = device;
+    applyRenderOptions(req, res, next, { ...device.render, ...req.query }, { timezone: device.timezone });
+}
 
-    const setConditionColor = (condition) => {
-        if (settings.bw_mode === 1) return colors.text; // Text is black in B/W mode
-        
-        if (settings.mode == 0 ) return colors.text;
-
-        if (condition.toLowerCase().includes('good')) return colors.good;
-        if (condition.toLowerCase().includes('mid lat aur')) return colors.good;
-        if (condition.toLowerCase().includes('fair')) return colors.fair;
-        if (condition.toLowerCase().includes('poor')) return colors.poor;
-        if (condition.toLowerCase().includes('closed')) return colors.poor;
-         return colors.text;
-    };
-
-    function drawRightAlignedText(text, xColStart, y, width, ctx) {
-        const textWidth = ctx.measureText(text).width;
-        ctx.fillText(text, Math.round(xColStart + width - textWidth), Math.round(y));
-    }
-    
-    function drawConditionCell(condition, xColStart, y, width, ctx, currentSettings, currentColors, setCondColor, hColor, hTextColor) {
-        const rectHeight = currentSettings.fontSizeNormal + Math.round(5 * SCALE_FACTOR); 
-        const paddingX = Math.round(4 * SCALE_FACTOR);
-        
-        const textWidth = ctx.measureText(condition).width;
-        
-        const actualTextStartX = xColStart + width - textWidth; 
-        
-        if (condition.toLowerCase().includes('good')) {
-            
-            let conditionHighlightColor;
-            let conditionHighlightTextColor;
-
-            if (currentSettings.bw_mode === 1) {
-                // B/W Mode: Highlight is Black, Text is White
-                conditionHighlightColor = '#000000';
-                conditionHighlightTextColor = '#ffffff';
-            } else {
-                // Standard Mode (Previous Logic): Highlight is Gray for mode=0, Green for mode=1
-                conditionHighlightColor = currentSettings.mode === 0 ? '#555555' : currentColors.good;
-                conditionHighlightTextColor = hTextColor; // Use inherited logic
-            }
-            
-            ctx.fillStyle = conditionHighlightColor; 
-            
-            // Vertical alignment fix
-            const rectYStart = y - currentSettings.fontSizeNormal + Math.round(2 * SCALE_FACTOR);
-            
-            ctx.fillRect(
-                Math.round(actualTextStartX - paddingX),
-                Math.round(rectYStart),
-                Math.round(textWidth + 2 * paddingX),
-                Math.round(rectHeight)
-            ); 
-            
-            ctx.fillStyle = conditionHighlightTextColor; 
-        } else {
-            ctx.fillStyle = setCondColor(condition);
+// Keep every upstream update, the store ignores snapshots it already has
+function recordHistory(data) {
+    try {
+        if (history.record(data)) {
+            console.log(`Recorded history snapshot for ${data.updated}`);
         }
-        
-        drawRightAlignedText(condition, xColStart, y, width, ctx);
-    }
-    // --- End Helper Functions ---
-
-    // --- Highlight logic for the Top Data Blocks ---
-    let effectiveHighlightColor;
-    let effectiveHighlightTextColor;
-
-    if (settings.bw_mode === 1) {
-        effectiveHighlightColor = '#000000';
-        effectiveHighlightTextColor = '#ffffff';
-    } else {
-        effectiveHighlightColor = settings.mode === 0 ? '#555555' : colors.green;
-        // Text is pure white if mode=0, or canvas background color for contrast if mode=1
-        effectiveHighlightTextColor = settings.mode === 0 ? '#ffffff' : colors.background;
+    } catch (error) {
+        console.error('Error recording history snapshot:', error);
     }
+}
 
-    const highlightColor = effectiveHighlightColor;
-    const highlightTextColor = effectiveHighlightTextColor;
-
-
-    // Set background color
-    context.fillStyle = colors.background;
-    context.fillRect(0, 0, settings.width, settings.height);
-
-    // Set font styles
-    context.font = `${settings.fontSizeNormal}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.text;
-    
-    // --- Scale Initial X and Y positions ---
-    const BASE_PADDING = Math.round(20 * SCALE_FACTOR);
-    
-    // Draw header (X: 20, Y: 40)
-    context.font = `bold ${settings.fontSizeLarge}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.title;
-    context.fillText('Solar Terrestrial Data', BASE_PADDING, Math.round(40 * SCALE_FACTOR));
-
-    // Draw subtitle (X: 20, Y: 70)
-    context.font = `bold ${settings.fontSizeSmall}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.subtitle;
-    context.fillText(new Date().toLocaleString('en-US', { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short' }), BASE_PADDING, Math.round(70 * SCALE_FACTOR));
-
-    // Draw separator line (Y: 85)
-    context.strokeStyle = colors.separator;
-    context.lineWidth = Math.round(2 * SCALE_FACTOR);
-    context.beginPath();
-    context.moveTo(BASE_PADDING, Math.round(85 * SCALE_FACTOR));
-    context.lineTo(settings.width - BASE_PADDING, Math.round(85 * SCALE_FACTOR));
-    context.stroke();
-
-    // Draw data rows in three columns (Top half)
-    context.font = `bold ${settings.fontSizeNormal}px ${FONT_FAMILY}`; // Use custom font
-
-    // Scale X positions of columns
-    const col1X = BASE_PADDING;
-    const col2X = Math.round(210 * SCALE_FACTOR);
-    const col3X = Math.round(500 * SCALE_FACTOR);
-
-    // Scale initial yPos
-    let yPos = Math.round(125 * SCALE_FACTOR);
-    
-    // --- Row 1: SFI, Sunspots, S/N Ratio (Custom Highlight Logic) ---
-    const SFI_OFFSET = Math.round(60 * SCALE_FACTOR);
-    const SUNSPOTS_OFFSET = Math.round(120 * SCALE_FACTOR);
-    const SNR_OFFSET = Math.round(130 * SCALE_FACTOR);
-    const RECT_HEIGHT_BASE = settings.fontSizeNormal + Math.round(5 * SCALE_FACTOR);
-    const RECT_Y_START_ROW1 = yPos - settings.fontSizeNormal + Math.round(5 * SCALE_FACTOR) - Math.round(4 * SCALE_FACTOR);
-    
-    // SFI
-    context.fillStyle = colors.subtitle;
-    context.fillText(`SFI:`, col1X, yPos);
-    
-    let textWidth = context.measureText(`${data.solarflux}`).width;
-    let textX = col1X + SFI_OFFSET - 10;
-    
-    context.fillStyle = highlightColor;
-    context.fillRect(Math.round(textX - 4 * SCALE_FACTOR), Math.round(RECT_Y_START_ROW1), Math.round(textWidth + 8 * SCALE_FACTOR), Math.round(RECT_HEIGHT_BASE));
-    context.fillStyle = highlightTextColor;
-    context.fillText(`${data.solarflux}`, Math.round(textX), yPos);
-    
-    // Sunspots
-    context.fillStyle = colors.subtitle;
-    context.fillText(`Sunspots:`, col2X, yPos);
-
-    textWidth = context.measureText(`${data.sunspots}`).width;
-    textX = col2X + SUNSPOTS_OFFSET - 10;
-    
-    context.fillStyle = highlightColor;
-    context.fillRect(Math.round(textX - 4 * SCALE_FACTOR), Math.round(RECT_Y_START_ROW1), Math.round(textWidth + 8 * SCALE_FACTOR), Math.round(RECT_HEIGHT_BASE));
-    context.fillStyle = highlightTextColor;
-    context.fillText(`${data.sunspots}`, Math.round(textX), yPos);
-
-    // Signal Noise
-    context.fillStyle = colors.subtitle;
-    context.fillText(`S/N Ratio:`, col3X, yPos);
-
-    textWidth = context.measureText(`${data.signalnoise}`).width;
-    textX = col3X + SNR_OFFSET - 10;
-    
-    context.fillStyle = highlightColor;
-    context.fillRect(Math.round(textX - 4 * SCALE_FACTOR), Math.round(RECT_Y_START_ROW1), Math.round(textWidth + 8 * SCALE_FACTOR), Math.round(RECT_HEIGHT_BASE));
-    context.fillStyle = highlightTextColor;
-    context.fillText(`${data.signalnoise}`, Math.round(textX), yPos);
-    
-    // --- Declarative Data for Rows 2, 3, 4 ---
-    
-    const tableData = [
-        // Row 2
-        [
-            { label: 'K Index:', value: data.kindex, x: col1X, xOffset: Math.round(90 * SCALE_FACTOR) },
-            { label: 'Solar Wind:', value: `${data.solarwind} km/s`, x: col2X, xOffset: Math.round(130 * SCALE_FACTOR) },
-            { label: 'X-Ray:', value: data.xray, x: col3X, xOffset: Math.round(70 * SCALE_FACTOR) },
-        ],
-        // Row 3
-        [
-            { label: 'Aurora:', value: data.aurora, x: col1X, xOffset: Math.round(80 * SCALE_FACTOR) },
-            { label: 'Proton Flux:', value: data.protonflux, x: col2X, xOffset: Math.round(140 * SCALE_FACTOR) },
-            { label: 'Helium Line:', value: data.heliumline, x: col3X, xOffset: Math.round(140 * SCALE_FACTOR) },
-        ],
-        // Row 4
-        [
-            { label: 'Mag Fld:', value: data.magneticfield, x: col1X, xOffset: Math.round(90 * SCALE_FACTOR) },
-            { label: 'Geo Fld:', value: data.geomagfield, x: col2X, xOffset: Math.round(90 * SCALE_FACTOR) },
-            { label: 'Lat Deg:', value: data.latdegree, x: col3X, xOffset: Math.round(90 * SCALE_FACTOR) },
-        ]
-    ];
-    
-    // Advance Y position to the start of the first looped row (Row 2)
-    yPos += LINE_SPACING;
-
-    // --- Loop to draw Rows 2, 3, and 4 ---
-    tableData.forEach(row => {
-        row.forEach(col => {
-            // Draw the label (e.g., "K Index:")
-            context.fillStyle = colors.subtitle;
-            context.fillText(col.label, col.x, yPos);
-            
-            // Draw the value (e.g., data.kindex)
-            context.fillStyle = colors.text;
-            context.fillText(col.value, Math.round(col.x + col.xOffset), yPos);
-        });
-        
-        // Advance to the next row
-        yPos += LINE_SPACING;
-    });
+// Set once a refresh has gone through onData
+let delivered = false;
+const scheduler = createRefreshScheduler({
+    ...config.refresh,
+    fetchData: providers.fetchSolarData,
+    cacheFile: path.join(config.dataDir, 'solar-cache.json'),
+    onData: (data) => {
+        delivered = true;
+        recordHistory(data);
+        alerts.evaluate(data);
+        if (mqtt) mqtt.publish(solarDocument(data));
+        pusher.push(data);
+    },
+});
+// Data loaded from the cache doesn't pass through onData, publish and push it as well
+scheduler.start().then(() => {
+    if (delivered || !scheduler.status().fetchedAt) return;
+    scheduler.getData().then((data) => {
+        if (mqtt) mqtt.publish(solarDocument(data));
+        pusher.push(data);
+    }, () => {});
+});
 
-    // Draw separator line (adjusted to account for the loop's final yPos increment)
-    context.strokeStyle = colors.separator;
-    context.lineWidth = Math.round(2 * SCALE_FACTOR);
-    context.beginPath();
-    context.moveTo(BASE_PADDING, Math.round(yPos - LINE_SPACING + LINE_SPACING * 0.83));
-    context.lineTo(settings.width - BASE_PADDING, Math.round(yPos - LINE_SPACING + LINE_SPACING * 0.83));
-    context.stroke();
-
-
-    yPos = Math.round(yPos - LINE_SPACING + LINE_SPACING * 2.33); 
-    
-    // --- REFACTORED HF BAND CONDITIONS (LEFT COLUMN) ---
-    context.font = `bold ${settings.fontSizeLarge}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.title;
-    context.fillText('HF Band Conditions', BASE_PADDING, yPos);
-
-    context.font = `bold ${settings.fontSizeNormal}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.subtitle;
-    yPos += LINE_SPACING;
-
-    // Scale column positions and widths
-    const HF_DAY_X = Math.round(96 * SCALE_FACTOR);
-    const HF_NIGHT_X = Math.round(168 * SCALE_FACTOR);
-    const HF_BAND_WIDTH = Math.round(80 * SCALE_FACTOR);
-    
-    // --- ALIGNMENT FIX APPLIED HERE FOR LEFT ALIGNMENT ---
-    context.fillText('Band:', BASE_PADDING, yPos); // Draw 'Band:' label
-    
-    // Left-align 'Day' header to start exactly where the condition text starts (HF_DAY_X)
-    context.fillText('Day', HF_DAY_X + 16, yPos); 
-    
-    // Left-align 'Night' header to start exactly where the condition text starts (HF_NIGHT_X)
-    context.fillText('Night', HF_NIGHT_X + 2, yPos); 
-    // ----------------------------------------------------
-
-    yPos += LINE_SPACING; 
-    
-    Object.entries(data.calculatedconditions).forEach(([key, value]) => {
-        const dayCondition = value['day'] || 'N/A';
-        const nightCondition = value['night'] || 'N/A';
-        
-        context.fillStyle = colors.subtitle;
-        context.fillText(`${key}:`, BASE_PADDING, yPos);
-
-        // Uses the fixed highlightTextColor
-        drawConditionCell(dayCondition, HF_DAY_X - 20, yPos, HF_BAND_WIDTH, context, settings, colors, setConditionColor, highlightColor, highlightTextColor);
-        drawConditionCell(nightCondition, HF_NIGHT_X - 30, yPos, HF_BAND_WIDTH, context, settings, colors, setConditionColor, highlightColor, highlightTextColor);
-
-        yPos += Math.round(LINE_SPACING * 1.16);
-    });
+// Latest data from the scheduler, only waits on upstream before the first fetch
+function getSolarData() {
+    return scheduler.getData();
+}
+
+// The /solar/json document of `data`: the data with its refresh status and
+// the band recommendations at the station, also published on MQTT
+function solarDocument(data) {
+    const { fetchedAt, stale, lastError } = scheduler.status();
+    return { ...data, fetchedAt, stale, lastError, recommendations: scoreBands(data, { qth: station }) };
+}
+
+// Data freshness headers of panel images, for clients that look past the image
+function setDataHeaders(res, status) {
+    if (status.fetchedAt) res.setHeader('X-Data-Fetched-At', status.fetchedAt);
+    res.setHeader('X-Data-Stale', status.stale ? '1' : '0');
+    if (status.lastError) res.setHeader('X-Data-Error', status.lastError.kind || 'unknown');
+}
 
-    // --- REFACTORED VHF / EME CONDITIONS (MIDDLE COLUMN) ---
-    let vhfXPos = Math.round(settings.width / 2 - 100 * SCALE_FACTOR);
-    let vhfYPos = Math.round(285 * SCALE_FACTOR);
-    
-    context.font = `bold ${settings.fontSizeLarge}px ${FONT_FAMILY}`; // Use custom font
-    context.fillStyle = colors.title;
-    context.fillText('VHF / EME Conditions', vhfXPos, vhfYPos);
-    
-    context.font = `bold ${settings.fontSizeNormal}px ${FONT_FAMILY}`; // Use custom font
-    vhfYPos += LINE_SPACING;
-
-    const VHF_OFFSET = Math.round(90 * SCALE_FACTOR);
-    
-    // Declarative array for VHF conditions
-    const vhfConditions = [
-        { label: 'Aurora:', value: data.calculatedvhfconditions?.['vhf-aurora']?.['northern_hemi'] || 'N/A' },
-        { label: '6m EsEU:', value: data.calculatedvhfconditions?.['E-Skip']?.['europe_6m'] || 'N/A' },
-        { label: '4m EsEU:', value: data.calculatedvhfconditions?.['E-Skip']?.['europe_4m']  || 'N/A'},
-        { label: '2m EsEU:', value: data.calculatedvhfconditions?.['E-Skip']?.['europe']  || 'N/A' },
-        { label: '2m EsNA:', value: data.calculatedvhfconditions?.['E-Skip']?.['north_america']  || 'N/A' },
-    ];
-
-    vhfConditions.forEach(condition => {
-        context.fillStyle = colors.subtitle;
-        context.fillText(condition.label, vhfXPos, vhfYPos);
-
-        context.fillStyle = setConditionColor(condition.value);
-        context.fillText(condition.value.trim(), vhfXPos + VHF_OFFSET, vhfYPos);
-        
-        vhfYPos += Math.round(LINE_SPACING * 1.13);
+// Status screen describing `error` with the time of the last good data,
+// answered with `statusCode` and the failure kind in X-Status-Screen
+async function renderErrorScreen(res, statusCode, error, options) {
+    const status = scheduler.status();
+    const latest = history.latest();
+    const screen = describeError(error, {
+        lastUpdate: status.fetchedAt || (latest && latest.recordedAt),
+        nextRetry: status.fetchedAt ? null : status.nextRefresh,
     });
+    res.status(statusCode);
+    res.setHeader('X-Status-Screen', screen.kind);
+    return renderStatusCanvas(screen, options);
+}
 
-    // --- REFACTORED MUTLI-LINE DATA DRAWING (RIGHT COLUMN) ---
-    let LasthfXPos = Math.round(settings.width / 2 + 160 * SCALE_FACTOR);
-    let LasthfYPos = Math.round(315 * SCALE_FACTOR);
+// The panel for this request, or a status screen when there is no data (503)
+// or drawing it fails (500), so image clients always get something to show
+async function renderPanel(req, res, surface = null) {
+    const options = surface ? { ...req.renderOptions, surface } : req.renderOptions;
+    let solarData;
+    try {
+        solarData = await getSolarData();
+    } catch (error) {
+        console.error('No solar data to render:', error.message);
+        return renderErrorScreen(res, 503, error, options);
+    }
 
-    const lineData = [
-        { label: 'MUF: ', value: data.muf },
-        { label: 'Norm: ', value: data.normalization },
-        { label: 'A Index: ', value: data.aindex },
-        { label: 'Elec Flux: ', value: data.electonflux },
-    ];
+    const status = scheduler.status();
+    setDataHeaders(res, status);
+    try {
+        return await renderSolarCanvas(solarData, options, { history, status, alerts: alerts.active() });
+    } catch (error) {
+        console.error('Error rendering panel:', error);
+        return renderErrorScreen(res, 500, error, options);
+    }
+}
 
-    let currentYPos = LasthfYPos;
+// Hash the image as `format` sends it and remember the quantized frame for
+// /solar/changes. With ignore_clock the regions that change on every render
+// are left out. Call before encoding, which may repaint the canvas.
+function storeFrame(req, canvas, panel, format) {
+    const { width, height } = canvas;
+    const mask = req.renderOptions.ignore_clock ? canvas.volatileRegions || [] : [];
+    const hash = frameHash(encodedPixels(canvas, req.renderOptions, format, panel), width, height, mask);
+    return { hash, frame: frames.put(hash, { indexData: panel.indexData, width, height, mask }) };
+}
 
-    context.font = `bold ${settings.fontSizeNormal}px ${FONT_FAMILY}`; // Use custom font
+// Set ETag and Last-Modified for the image content; answers 304 and returns
+// true when the client already has it
+function sendNotModified(req, res, canvas, panel, format) {
+    const { hash, frame } = storeFrame(req, canvas, panel, format);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', `"${hash}"`);
+    res.setHeader('Last-Modified', frame.modified.toUTCString());
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+}
 
-    lineData.forEach(line => {
-        let currentXPos = LasthfXPos;
-        currentXPos = drawSegment(context, line.label, colors.subtitle, currentXPos, currentYPos);
-        currentXPos = drawSegment(context, `${line.value}`, colors.text, currentXPos, currentYPos);
-        currentYPos += LINE_SPACING + 3;
-    });
+// Count and time the responses of a rendering handler once they are sent
+function timed(format, handler) {
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const endpoint = req.route.path;
+            metric.renders.inc({ endpoint, format, status: res.statusCode });
+            metric.renderDuration.observe({ endpoint, format }, Number(process.hrtime.bigint() - started) / 1e9);
+        });
+        return handler(req, res, next);
+    };
+}
 
-    return canvas.toBuffer('image/png');
+// Gauges of the data and refresh state, set when scraped
+async function updateMetrics() {
+    const status = scheduler.status();
+    metric.dataStale.set({}, status.stale ? 1 : 0);
+    metric.refreshFailures.set({}, status.failures);
+    metric.alertsActive.set({}, alerts.active().length);
+    [metric.dataAge, metric.xrayFlux, metric.band, metric.vhf, ...Object.values(metric.fields)].forEach((gauge) => gauge.reset());
+    if (!status.fetchedAt) return;
+
+    metric.dataAge.set({}, status.age);
+    const data = await getSolarData();
+    const { fields, xray, bands, vhf } = solarGauges(data);
+    fields.forEach(({ field, value }) => metric.fields[field].set({}, value));
+    if (xray !== null) metric.xrayFlux.set({}, xray);
+    bands.forEach(({ band, time, level }) => metric.band.set({ band, time }, level));
+    vhf.forEach(({ phenomenon, location, open }) => metric.vhf.set({ phenomenon, location }, open));
 }
 
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+    try {
+        await updateMetrics();
+    } catch (error) {
+        console.error('Error updating metrics:', error.message);
+    }
+    res.setHeader('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+});
+
 // JSON data endpoint
 app.get('/solar/json', async (req, res) => {
     try {
-        const solarData = await parseSolarXml();
-        res.json(solarData);
+        res.json(solarDocument(await getSolarData()));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to retrieve or parse solar data' });
+        res.status(503).json({ error: 'Failed to retrieve or parse solar data', ...scheduler.status() });
+    }
+});
+
+// Text summary: /solar/text?cols=20&rows=4&page=1&format=plain|ansi|beacon
+// Pages are `rows` lines of exactly `cols` characters, all pages separated by a
+// blank line unless `page` picks one; beacon is a single line of at most `max`
+app.get('/solar/text', timed('text', async (req, res) => {
+    const format = req.query.format || 'plain';
+    const cols = req.query.cols === undefined ? 20 : Number(req.query.cols);
+    const rows = req.query.rows === undefined ? 4 : Number(req.query.rows);
+    const page = req.query.page === undefined ? null : Number(req.query.page);
+    const max = req.query.max === undefined ? APRS_MESSAGE_LENGTH : Number(req.query.max);
+    const inRange = (value, min, limit) => Number.isInteger(value) && value >= min && value <= limit;
+    if (!['plain', 'ansi', 'beacon'].includes(format) || !inRange(cols, 8, 200) || !inRange(rows, 1, 100)
+        || (page !== null && !inRange(page, 1, 1000)) || !inRange(max, 1, 256)) {
+        return res.status(400).json({
+            error: 'Invalid text query',
+            parameters: {
+                format: 'plain, ansi (colored for terminals) or beacon (one line), default plain',
+                cols: 'characters per line, 8 to 200, default 20',
+                rows: 'lines per page, 1 to 100, default 4',
+                page: 'return only this page (1-based), default all pages',
+                max: `longest beacon line, 1 to 256, default ${APRS_MESSAGE_LENGTH} (APRS message)`,
+            },
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    let solarData;
+    try {
+        solarData = await getSolarData();
+    } catch (error) {
+        const { lastError } = scheduler.status();
+        const text = `No solar data (${lastError ? lastError.kind : 'unavailable'})`;
+        return res.status(503).send(`${text.slice(0, format === 'beacon' ? max : cols)}\n`);
+    }
+
+    const status = scheduler.status();
+    setDataHeaders(res, status);
+    if (format === 'beacon') {
+        return res.send(`${formatBeacon(solarData, { max, status, alerts: alerts.active() })}\n`);
+    }
+
+    const pages = formatText(solarData, { cols, rows, ansi: format === 'ansi', status, alerts: alerts.active() });
+    res.setHeader('X-Pages', String(pages.length));
+    if (page !== null) {
+        if (page > pages.length) return res.status(404).send(`Page ${page} of ${pages.length}\n`);
+        res.setHeader('X-Page', String(page));
+        return res.send(`${pages[page - 1]}\n`);
+    }
+    res.send(`${pages.join('\n\n')}\n`);
+}));
+
+// Active alerts and the newest firing/resolved events: /solar/alerts?limit=50
+app.get('/solar/alerts', (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+        return res.status(400).json({ error: 'Invalid alerts query', parameters: { limit: 'number of events to return, default 50' } });
+    }
+    res.json({ active: alerts.active(), events: alerts.events(limit), rules: alerts.rules });
+});
+
+// Stored snapshots: /solar/history?from=&to=&fields=a,b.c&format=json|csv
+// from/to take an ISO date or epoch milliseconds
+app.get('/solar/history', (req, res) => {
+    const parseTime = (value) => {
+        if (value === undefined || value === '') return null;
+        const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+    };
+
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    const format = req.query.format || 'json';
+    const fields = req.query.fields ? String(req.query.fields).split(',').map((f) => f.trim()).filter(Boolean) : null;
+
+    if (from === undefined || to === undefined || !['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+            error: 'Invalid history query',
+            parameters: {
+                from: 'ISO date or epoch milliseconds (inclusive)',
+                to: 'ISO date or epoch milliseconds (inclusive)',
+                fields: 'comma separated field names, dotted paths for nested values (e.g. calculatedconditions.80m-40m.day)',
+                format: 'json (default) or csv',
+            },
+        });
+    }
+
+    if (format === 'csv') {
+        // CSV only has room for plain values, nested objects need a dotted path
+        res.setHeader('Content-Type', 'text/csv');
+        return res.send(toCsv(history.query({ from, to, fields, scalarOnly: true })));
     }
+    res.json(history.query({ from, to, fields }));
 });
 
-// Render canvas endpoint
-app.get('/solar/canvas', async (req, res) => {
+// HTML page with the rendered canvas, or with live=1 a page showing the SVG of
+// the same options that polls /solar/json every `interval` seconds and reloads it
+async function sendCanvasPage(req, res) {
+    const live = req.query.live === undefined ? 0 : Number(req.query.live);
+    const interval = req.query.interval === undefined ? 60 : Number(req.query.interval);
+    if (![0, 1].includes(live) || !Number.isInteger(interval) || interval < 5 || interval > 3600) {
+        return res.status(400).json({
+            error: 'Invalid canvas query',
+            parameters: {
+                live: '1 for a page that follows the data as SVG, default 0',
+                interval: 'seconds between polls of /solar/json with live=1, 5 to 3600, default 60',
+            },
+        });
+    }
+    if (live) {
+        // A device's page reloads the /solar SVG with the profile's options,
+        // through the device route every reload would count as a device request
+        const profile = req.device ? { tz: req.device.timezone, ...req.device.render } : {};
+        const query = new URLSearchParams({ ...profile, ...req.query });
+        ['live', 'interval', 'battery', 'rssi'].forEach((name) => query.delete(name));
+        const imageUrl = `/solar/svg${query.toString() ? `?${query}` : ''}`;
+        res.setHeader('Content-Type', 'text/html');
+        return res.send(livePanelPage({ imageUrl, interval }));
+    }
+
     try {
-        const solarData = await parseSolarXml();
-        const canvasImageBuffer = await renderSolarCanvas(solarData);
+        const canvas = await renderPanel(req, res);
+        const canvasImageBuffer = canvas.toBuffer('image/png');
 
         res.setHeader('Content-Type', 'text/html');
         res.send(`
@@ -542,19 +440,250 @@ app.get('/solar/canvas', async (req, res) => {
         console.error('Error generating canvas:', error);
         res.status(500).send('Error generating solar data canvas.');
     }
-});
+}
 
-// Direct PNG endpoint
-app.get('/solar/png', async (req, res) => {
+// SVG of the panel, text drawn as outlines of the embedded font
+async function sendSvg(req, res) {
     try {
-        const solarData = await parseSolarXml();
-        const canvasImageBuffer = await renderSolarCanvas(solarData);
-        res.setHeader('Content-Type', 'image/png');
-        res.send(canvasImageBuffer);
+        const canvas = await renderPanel(req, res, 'svg');
+        const { buffer, contentType } = encodePanel(canvas, req.renderOptions, 'svg');
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating SVG:', error);
+        res.status(500).send('Error generating solar data SVG.');
+    }
+}
+
+// Single page PDF of the panel (one point per pixel) with the font embedded
+async function sendPdf(req, res) {
+    try {
+        const canvas = await renderPanel(req, res, 'pdf');
+        const { buffer, contentType } = encodePanel(canvas, req.renderOptions, 'pdf');
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', 'inline; filename="solar.pdf"');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        res.status(500).send('Error generating solar data PDF.');
+    }
+}
+
+// PNG of the panel
+async function sendPng(req, res) {
+    try {
+        const options = req.renderOptions;
+        const canvas = await renderPanel(req, res);
+        const panel = renderPanelIndices(canvas, options);
+        if (sendNotModified(req, res, canvas, panel, 'png')) return;
+
+        const { buffer, contentType } = encodePanel(canvas, options, 'png', panel);
+        res.setHeader('Content-Type', contentType);
+        res.send(buffer);
     } catch (error) {
         console.error('Error generating PNG:', error);
         res.status(500).send('Error generating solar data PNG.');
     }
+}
+
+// 1-bit (bpp=1), 4-grey (bpp=2) or palette-indexed BMP
+async function sendBmp(req, res) {
+    try {
+        const options = req.renderOptions;
+        const canvas = await renderPanel(req, res);
+        const panel = renderPanelIndices(canvas, options);
+        if (sendNotModified(req, res, canvas, panel, 'bmp')) return;
+
+        const { buffer, contentType } = encodePanel(canvas, options, 'bmp', panel);
+        res.setHeader('Content-Type', contentType);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating BMP:', error);
+        res.status(500).send('Error generating solar data BMP.');
+    }
+}
+
+// Raw packed framebuffer with its size in X-Image-Width/-Height/-Bpp, see
+// encodePanelRaw() for the layouts of palettes
+async function sendRaw(req, res) {
+    try {
+        const options = req.renderOptions;
+        const canvas = await renderPanel(req, res);
+        const panel = renderPanelIndices(canvas, options);
+        if (sendNotModified(req, res, canvas, panel, 'raw')) return;
+
+        const { buffer, contentType, headers } = encodePanel(canvas, options, 'raw', panel);
+        res.setHeader('Content-Type', contentType);
+        res.set(headers);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating raw framebuffer:', error);
+        res.status(500).send('Error generating solar data framebuffer.');
+    }
+}
+
+// Standalone trend chart: /solar/chart.png?field=kindex&hours=72 plus the render options
+app.get('/solar/chart.png', withRenderOptions, timed('png', async (req, res) => {
+    const field = req.query.field || 'kindex';
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    const maxHours = 24 * (config.history.retentionDays || 365);
+
+    if (!/^[A-Za-z0-9_]+$/.test(field) || !Number.isInteger(hours) || hours < 1 || hours > maxHours) {
+        return res.status(400).json({
+            error: 'Invalid chart query',
+            parameters: {
+                field: 'numeric field of /solar/json, default kindex (drawn as storm-level bars)',
+                hours: `time window in hours, 1 to ${maxHours}, default 24`,
+            },
+        });
+    }
+
+    try {
+        const options = req.renderOptions;
+        let canvas;
+        try {
+            canvas = await renderChartCanvas(history, { field, hours }, options);
+        } catch (error) {
+            console.error('Error rendering chart:', error);
+            canvas = await renderErrorScreen(res, 500, error, options);
+        }
+        const panel = renderPanelIndices(canvas, options);
+        if (sendNotModified(req, res, canvas, panel, 'png')) return;
+
+        res.setHeader('Content-Type', 'image/png');
+        res.send(encodePanelPng(canvas, options, panel));
+    } catch (error) {
+        console.error('Error generating chart:', error);
+        res.status(500).send('Error generating solar data chart.');
+    }
+}));
+
+// Standalone greyline map: /solar/map.png plus the render options
+app.get('/solar/map.png', withRenderOptions, timed('png', async (req, res) => {
+    try {
+        const options = req.renderOptions;
+        // The map itself needs no data, only the aurora hint is left out without it
+        const solarData = await getSolarData().catch(() => null);
+        let canvas;
+        try {
+            canvas = await renderMapCanvas(solarData, options);
+        } catch (error) {
+            console.error('Error rendering map:', error);
+            canvas = await renderErrorScreen(res, 500, error, options);
+        }
+        const panel = renderPanelIndices(canvas, options);
+        if (sendNotModified(req, res, canvas, panel, 'png')) return;
+
+        res.setHeader('Content-Type', 'image/png');
+        res.send(encodePanelPng(canvas, options, panel));
+    } catch (error) {
+        console.error('Error generating map:', error);
+        res.status(500).send('Error generating greyline map.');
+    }
+}));
+
+// Rectangles that changed since the frame a client shows, for partial refreshes:
+// /solar/changes?since=<ETag>&format=raw&tile=8&max_regions=8 plus the render options of the
+// image. An unknown or differently sized previous frame asks for a full refresh.
+async function sendChanges(req, res) {
+    const since = String(req.query.since || '').replace(/^(W\/)?"|"$/g, '');
+    const format = req.query.format || 'raw';
+    const tile = req.query.tile === undefined ? 8 : Number(req.query.tile);
+    const maxRegions = req.query.max_regions === undefined ? 8 : Number(req.query.max_regions);
+
+    if (!/^[0-9a-f]+$/.test(since) || !['png', 'bmp', 'raw'].includes(format) || !Number.isInteger(tile) || tile < 1 || tile > 256
+        || !Number.isInteger(maxRegions) || maxRegions < 1 || maxRegions > 256) {
+        return res.status(400).json({
+            error: 'Invalid changes query',
+            parameters: {
+                since: 'ETag of the image the panel currently shows',
+                format: 'png, bmp or raw, the image whose ETag is returned as hash, default raw',
+                tile: 'size in pixels of the cells changes are reported in, 1 to 256, default 8',
+                max_regions: 'most rectangles to return, more are merged into their bounding box, 1 to 256, default 8',
+            },
+        });
+    }
+
+    try {
+        const options = req.renderOptions;
+        const canvas = await renderPanel(req, res);
+        const panel = renderPanelIndices(canvas, options);
+        const previous = frames.get(since);
+        const { hash, frame } = storeFrame(req, canvas, panel, format);
+        const { width, height } = canvas;
+
+        let regions;
+        const full = !previous || previous.width !== width || previous.height !== height;
+        if (full) {
+            regions = [{ x: 0, y: 0, width, height }];
+        } else if (since === hash) {
+            regions = [];
+        } else {
+            regions = changedRegions(previous.indexData, frame.indexData, width, height, { tile, mask: frame.mask, maxRegions });
+        }
+        res.json({ hash, since, width, height, full, regions });
+    } catch (error) {
+        console.error('Error detecting changes:', error);
+        res.status(500).json({ error: 'Failed to detect changes' });
+    }
+}
+
+// Panel outputs with their response format, configured by query parameters or
+// by a device profile
+const PANEL_ENDPOINTS = {
+    canvas: [sendCanvasPage, 'html'],
+    png: [sendPng, 'png'],
+    bmp: [sendBmp, 'bmp'],
+    raw: [sendRaw, 'raw'],
+    svg: [sendSvg, 'svg'],
+    pdf: [sendPdf, 'pdf'],
+    changes: [sendChanges, 'json'],
+};
+
+Object.entries(PANEL_ENDPOINTS).forEach(([endpoint, [handler, format]]) => {
+    app.get(`/solar/${endpoint}`, withRenderOptions, timed(format, handler));
+    app.get(`/device/:id/${endpoint}`, withDevice, timed(format, handler));
+});
+
+// Configured devices with their last report and health, as JSON or an HTML table
+app.get('/devices', (req, res) => {
+    const list = devices.list();
+    const format = req.query.format || req.accepts(['json', 'html']) || 'json';
+    if (format !== 'html') return res.json(list);
+    res.setHeader('Content-Type', 'text/html');
+    res.send(devicesPage(list));
+});
+
+// Push targets with their last delivery and error
+app.get('/push', (req, res) => {
+    res.json(pusher.status());
+});
+
+// Render option editor with a live preview. Query parameters prefill the form,
+// e.g. /configure?width=400&height=300, device=<id> starts from a device profile.
+app.get('/configure', (req, res) => {
+    const parameters = describeRenderParameters();
+    const device = req.query.device ? devices.get(String(req.query.device)) : null;
+    const query = Object.entries(req.query).filter(([name, value]) => parameters[name] && typeof value === 'string');
+    const labels = {
+        lang: Object.fromEntries(listLanguages().map((language) => [language.lang, `${language.name} (${language.lang})`])),
+        palette: Object.fromEntries(Object.entries(palettes.PALETTES).map(([name, palette]) => [name, palette.name])),
+        layout: Object.fromEntries(listLayouts().map((layout) => [layout.name, `${layout.name} (${layout.width}x${layout.height})`])),
+    };
+    res.setHeader('Content-Type', 'text/html');
+    res.send(configurePage({
+        parameters,
+        labels,
+        initial: { ...(device ? device.render : {}), ...Object.fromEntries(query) },
+        devices: devices.list(),
+    }));
+});
+
+// Available layouts for the layout= parameter
+app.get('/solar/layouts', (req, res) => {
+    res.json(listLayouts());
 });
 
 app.get('/', (req, res) => {
@@ -563,4 +692,12 @@ app.get('/', (req, res) => {
 
 app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
+});
+
+// Device states are saved with a delay, write the pending ones before exiting
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.once(signal, () => {
+        console.log(`Received ${signal}, shutting down`);
+        devices.flush().then(() => process.exit(0));
+    });
 });
\ No newline at end of file